@@ -0,0 +1,34 @@
+const OKR = require('../models/OKR');
+const { notifyOkrDueSoon } = require('../services/notifications');
+const { every, HOUR, DAY } = require('../utils/schedules');
+
+const DUE_SOON_DAYS = parseInt(process.env.DUE_SOON_DAYS, 10) || 3;
+
+// Remind assignees once when an active OKR comes within DUE_SOON_DAYS of its due date
+module.exports = {
+  name: 'due-soon-reminders',
+  schedule: every(HOUR),
+
+  run: async ({ now }) => {
+    const okrs = await OKR.find({
+      status: 'active',
+      isActive: true,
+      dueDate: { $gte: now, $lte: new Date(now.getTime() + DUE_SOON_DAYS * DAY) },
+      'reminders.dueSoonAt': null
+    });
+
+    let reminded = 0;
+    for (const okr of okrs) {
+      const result = await OKR.updateOne(
+        { _id: okr._id, 'reminders.dueSoonAt': null },
+        { 'reminders.dueSoonAt': now }
+      );
+      if (result.modifiedCount === 0) continue;
+      reminded += 1;
+
+      await notifyOkrDueSoon({ okr });
+    }
+
+    return { reminded };
+  }
+};
@@ -0,0 +1,39 @@
+const OKR = require('../models/OKR');
+const { recordAudit } = require('../services/audit');
+const { notifyOkrOverdue } = require('../services/notifications');
+const { every, HOUR } = require('../utils/schedules');
+
+// Flag active OKRs that have passed their due date and tell the people on them
+module.exports = {
+  name: 'flag-overdue-okrs',
+  schedule: every(HOUR),
+
+  run: async ({ now }) => {
+    const okrs = await OKR.find({
+      status: 'active',
+      isActive: true,
+      dueDate: { $lt: now },
+      overdueAt: null
+    });
+
+    let flagged = 0;
+    for (const okr of okrs) {
+      // Only the update that sets the flag sends the notification
+      const result = await OKR.updateOne({ _id: okr._id, overdueAt: null }, { overdueAt: now });
+      if (result.modifiedCount === 0) continue;
+      flagged += 1;
+
+      await recordAudit({
+        entityType: 'OKR',
+        entityId: okr._id,
+        organization: okr.organization,
+        action: 'overdue',
+        before: { overdueAt: null },
+        after: { overdueAt: now }
+      });
+      await notifyOkrOverdue({ okr });
+    }
+
+    return { flagged };
+  }
+};
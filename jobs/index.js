@@ -0,0 +1,13 @@
+const { defineJob } = require('../services/scheduler');
+
+const JOBS = [
+  require('./flagOverdueOkrs'),
+  require('./dueSoonReminders'),
+  require('./staleCheckInReminders'),
+  require('./weeklyDigest')
+];
+
+// Register every background job with the scheduler
+const registerJobs = () => JOBS.forEach(defineJob);
+
+module.exports = { registerJobs };
@@ -0,0 +1,43 @@
+const OKR = require('../models/OKR');
+const CheckIn = require('../models/CheckIn');
+const { notifyCheckInReminder } = require('../services/notifications');
+const { dailyAt, DAY } = require('../utils/schedules');
+
+const STALE_CHECK_IN_DAYS = parseInt(process.env.STALE_CHECK_IN_DAYS, 10) || 7;
+
+// Nudge assignees of active OKRs that have gone STALE_CHECK_IN_DAYS without a
+// check-in, at most once per that many days
+module.exports = {
+  name: 'stale-check-in-reminders',
+  schedule: dailyAt(9),
+
+  run: async ({ now }) => {
+    const staleBefore = new Date(now.getTime() - STALE_CHECK_IN_DAYS * DAY);
+
+    const okrs = await OKR.find({
+      status: 'active',
+      isActive: true,
+      createdAt: { $lt: staleBefore },
+      $or: [{ 'reminders.checkInAt': null }, { 'reminders.checkInAt': { $lt: staleBefore } }]
+    });
+    if (okrs.length === 0) return { reminded: 0 };
+
+    const lastCheckIns = await CheckIn.aggregate([
+      { $match: { okr: { $in: okrs.map(okr => okr._id) } } },
+      { $group: { _id: '$okr', lastCheckInAt: { $max: '$createdAt' } } }
+    ]);
+    const lastCheckInByOkr = new Map(lastCheckIns.map(row => [row._id.toString(), row.lastCheckInAt]));
+
+    let reminded = 0;
+    for (const okr of okrs) {
+      const lastCheckInAt = lastCheckInByOkr.get(okr._id.toString()) || null;
+      if (lastCheckInAt && lastCheckInAt >= staleBefore) continue;
+
+      await OKR.updateOne({ _id: okr._id }, { 'reminders.checkInAt': now });
+      await notifyCheckInReminder({ okr, lastCheckInAt });
+      reminded += 1;
+    }
+
+    return { reminded };
+  }
+};
@@ -0,0 +1,37 @@
+const Organization = require('../models/Organization');
+const User = require('../models/User');
+const { sendDigest } = require('../services/digest');
+const { runWithTenant } = require('../utils/tenantContext');
+const { weeklyAt, HOUR } = require('../utils/schedules');
+
+// Send every active user a summary of their week, Mondays at 08:00 UTC.
+// Each organization is processed inside its own tenant context.
+module.exports = {
+  name: 'weekly-digest',
+  schedule: weeklyAt(1, 8),
+  // Large organizations take a while; keep other instances from taking over
+  lockTtl: HOUR,
+
+  run: async ({ now }) => {
+    const organizations = await Organization.find({ isActive: true }).select('_id');
+
+    let sent = 0;
+    let failed = 0;
+    for (const organization of organizations) {
+      await runWithTenant(organization._id, async () => {
+        const users = await User.find({ organization: organization._id, isActive: true });
+
+        for (const user of users) {
+          try {
+            if (await sendDigest(user, now)) sent += 1;
+          } catch (error) {
+            failed += 1;
+            console.error(`Weekly digest error for ${user.email}:`, error);
+          }
+        }
+      });
+    }
+
+    return { sent, failed };
+  }
+};
@@ -1,5 +1,9 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { can } = require('../policies');
+const { loadActorFor } = require('../services/actors');
+const { runWithTenant } = require('../utils/tenantContext');
 
 const auth = async (req, res, next) => {
   try {
@@ -11,6 +15,12 @@ const auth = async (req, res, next) => {
 
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
 
+    // Access tokens are only good for as long as the session they belong to
+    const session = decoded.sessionId && await Session.findById(decoded.sessionId);
+    if (!session || !session.isValid() || session.user.toString() !== decoded.userId) {
+      return res.status(401).json({ message: 'Session has expired or been revoked' });
+    }
+
     const user = await User.findById(decoded.userId)
       .select('-password')
       .populate('organization')
@@ -21,26 +31,57 @@ const auth = async (req, res, next) => {
       return res.status(401).json({ message: 'Token is not valid' });
     }
 
+    if (!user.isActive) {
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    // Super-admins keep access so they can restore an archived organization
+    if (user.organization && !user.organization.isActive && !user.isSuperAdmin) {
+      return res.status(401).json({ message: 'Organization is archived' });
+    }
+
     req.user = user;
-    next();
+    req.authSession = session;
+
+    // Everything after authentication only sees the user's own organization
+    runWithTenant(user.organization ? user.organization._id : null, next);
   } catch (error) {
     console.error('Auth middleware error:', error);
     res.status(401).json({ message: 'Token is not valid' });
   }
 };
 
-const authorize = (...roles) => {
-  return (req, res, next) => {
-    if (!req.user) {
-      return res.status(401).json({ message: 'User not authenticated' });
-    }
+// Load the caller's scope, once per request
+const loadActor = async (req) => {
+  if (!req.actor) {
+    req.actor = await loadActorFor(req.user);
+  }
 
-    if (!roles.includes(req.user.role)) {
-      return res.status(403).json({ message: 'Access denied' });
-    }
+  return req.actor;
+};
+
+// Check a permission from inside a route once the resource has been loaded
+const hasPermission = async (req, permission, resource) => can(await loadActor(req), permission, resource);
 
-    next();
+// Guard a route with a permission. By default the permission is checked
+// against the caller's own organization; pass `getResource` to check it
+// against something taken from the request instead.
+const requirePermission = (permission, getResource = req => ({ organization: req.user.organization })) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({ message: 'User not authenticated' });
+      }
+
+      if (!(await hasPermission(req, permission, getResource(req)))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
   };
 };
 
-module.exports = { auth, authorize };
+module.exports = { auth, loadActor, hasPermission, requirePermission };
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const ENTITY_TYPES = ['OKR', 'User', 'Team', 'Department', 'Organization', 'TeamMembership'];
+
+const auditLogSchema = new mongoose.Schema({
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization'
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  entityType: {
+    type: String,
+    enum: ENTITY_TYPES,
+    required: [true, 'Entity type is required']
+  },
+  entityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Entity id is required']
+  },
+  // e.g. create, update, delete, progress
+  action: {
+    type: String,
+    required: [true, 'Action is required'],
+    trim: true
+  },
+  changes: [{
+    _id: false,
+    field: String,
+    before: mongoose.Schema.Types.Mixed,
+    after: mongoose.Schema.Types.Mixed
+  }],
+  metadata: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  ipAddress: {
+    type: String
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+auditLogSchema.index({ organization: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, entityType: 1, entityId: 1, createdAt: -1 });
+auditLogSchema.index({ organization: 1, actor: 1, createdAt: -1 });
+
+auditLogSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
+module.exports.ENTITY_TYPES = ENTITY_TYPES;
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const CONFIDENCE_LEVELS = ['on_track', 'at_risk', 'off_track'];
+
+const checkInSchema = new mongoose.Schema({
+  okr: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OKR',
+    required: [true, 'OKR is required']
+  },
+  keyResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: [true, 'Key result is required']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  previousValue: {
+    type: Number
+  },
+  value: {
+    type: Number
+  },
+  previousProgress: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: [true, 'Progress is required']
+  },
+  confidence: {
+    type: String,
+    enum: CONFIDENCE_LEVELS,
+    default: 'on_track'
+  },
+  note: {
+    type: String,
+    trim: true
+  }
+}, {
+  timestamps: true
+});
+
+checkInSchema.index({ okr: 1, keyResult: 1, createdAt: -1 });
+
+checkInSchema.plugin(tenantPlugin, { refs: { okr: 'OKR' } });
+
+module.exports = mongoose.model('CheckIn', checkInSchema);
+module.exports.CONFIDENCE_LEVELS = CONFIDENCE_LEVELS;
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const commentSchema = new mongoose.Schema({
+  okr: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OKR',
+    required: [true, 'OKR is required']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required']
+  },
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Author is required']
+  },
+  // Comment this one replies to, and the top-level comment of its thread
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  root: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  text: {
+    type: String,
+    required: [true, 'Comment text is required'],
+    trim: true
+  },
+  mentions: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // Earlier versions of the text, oldest first
+  edits: [{
+    _id: false,
+    text: String,
+    editedAt: Date
+  }],
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  reactions: [{
+    _id: false,
+    emoji: {
+      type: String,
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    }
+  }],
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+commentSchema.index({ okr: 1, root: 1, createdAt: 1 });
+
+// Reactions grouped by emoji, e.g. [{ emoji: '👍', count: 2, users: [...] }]
+commentSchema.virtual('reactionSummary').get(function() {
+  const byEmoji = new Map();
+  this.reactions.forEach(({ emoji, user }) => {
+    if (!byEmoji.has(emoji)) byEmoji.set(emoji, { emoji, count: 0, users: [] });
+    const summary = byEmoji.get(emoji);
+    summary.count += 1;
+    summary.users.push(user);
+  });
+  return [...byEmoji.values()];
+});
+
+// Deleted comments stay in their thread as placeholders without their content
+commentSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.reactions;
+    if (ret.deletedAt) {
+      ret.text = null;
+      ret.mentions = [];
+      ret.edits = [];
+      ret.reactionSummary = [];
+    }
+    return ret;
+  }
+});
+
+commentSchema.plugin(tenantPlugin, {
+  refs: {
+    okr: 'OKR',
+    author: 'User',
+    parent: 'Comment',
+    mentions: 'User'
+  }
+});
+
+module.exports = mongoose.model('Comment', commentSchema);
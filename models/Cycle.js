@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const cycleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Cycle name is required'],
+    trim: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required']
+  },
+  startDate: {
+    type: Date,
+    required: [true, 'Start date is required']
+  },
+  endDate: {
+    type: Date,
+    required: [true, 'End date is required']
+  },
+  state: {
+    type: String,
+    enum: ['planning', 'active', 'closed'],
+    default: 'planning'
+  },
+  closedAt: {
+    type: Date
+  },
+  closedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+cycleSchema.index({ organization: 1, startDate: -1 });
+
+cycleSchema.pre('validate', function(next) {
+  if (this.startDate && this.endDate && this.endDate <= this.startDate) {
+    this.invalidate('endDate', 'End date must be after start date');
+  }
+  next();
+});
+
+cycleSchema.plugin(tenantPlugin);
+
+module.exports = mongoose.model('Cycle', cycleSchema);
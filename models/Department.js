@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
 
 const departmentSchema = new mongoose.Schema({
   name: {
@@ -15,6 +16,10 @@ const departmentSchema = new mongoose.Schema({
     ref: 'Organization',
     required: [true, 'Organization is required']
   },
+  head: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -23,4 +28,6 @@ const departmentSchema = new mongoose.Schema({
   timestamps: true
 });
 
+departmentSchema.plugin(tenantPlugin, { refs: { head: 'User' } });
+
 module.exports = mongoose.model('Department', departmentSchema); 
\ No newline at end of file
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const invitationSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required']
+  },
+  role: {
+    type: String,
+    enum: ['user', 'team_lead', 'admin'],
+    default: 'user'
+  },
+  department: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Department'
+  },
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Invited by is required']
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  lastSentAt: {
+    type: Date,
+    default: Date.now
+  },
+  sendCount: {
+    type: Number,
+    default: 1
+  },
+  acceptedAt: {
+    type: Date
+  },
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ tokenHash: 1 });
+invitationSchema.index({ organization: 1, email: 1, status: 1 });
+
+// A pending invite past its expiry date can no longer be redeemed
+invitationSchema.virtual('isExpired').get(function() {
+  return this.status === 'pending' && this.expiresAt < new Date();
+});
+
+invitationSchema.set('toJSON', {
+  virtuals: true,
+  transform: (doc, ret) => {
+    delete ret.tokenHash;
+    return ret;
+  }
+});
+
+invitationSchema.plugin(tenantPlugin, { refs: { department: 'Department', team: 'Team' } });
+
+module.exports = mongoose.model('Invitation', invitationSchema);
@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+
+// Persistent state of a scheduled job. One document per job name; the lock
+// fields make sure only one instance runs a job at a time.
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Job name is required'],
+    unique: true,
+    trim: true
+  },
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+  // Instance currently running the job, and when its claim lapses if it dies
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastRunAt: {
+    type: Date
+  },
+  lastFinishedAt: {
+    type: Date
+  },
+  lastResult: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  lastError: {
+    type: String
+  },
+  runCount: {
+    type: Number,
+    default: 0
+  },
+  failCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Job', jobSchema);
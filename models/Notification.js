@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const NOTIFICATION_TYPES = [
+  'okr_assigned',
+  'okr_contributor_added',
+  'okr_commented',
+  'comment_reply',
+  'comment_mention',
+  'okr_status_changed',
+  'okr_approval_requested',
+  'okr_due_soon',
+  'okr_overdue',
+  'check_in_reminder',
+  'weekly_digest'
+];
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Recipient is required']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required']
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: [true, 'Notification type is required']
+  },
+  // User whose action caused the notification, if any
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  okr: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OKR'
+  },
+  message: {
+    type: String,
+    required: [true, 'Message is required'],
+    trim: true
+  },
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  readAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, readAt: 1, createdAt: -1 });
+
+notificationSchema.virtual('isRead').get(function() {
+  return Boolean(this.readAt);
+});
+
+notificationSchema.set('toJSON', { virtuals: true });
+
+notificationSchema.plugin(tenantPlugin, { refs: { recipient: 'User', okr: 'OKR' } });
+
+module.exports = mongoose.model('Notification', notificationSchema);
+module.exports.NOTIFICATION_TYPES = NOTIFICATION_TYPES;
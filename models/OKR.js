@@ -1,4 +1,150 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const METRIC_TYPES = [
+  'percentage',
+  'increase_to',
+  'decrease_to',
+  'keep_above',
+  'keep_below',
+  'boolean',
+  'milestone'
+];
+
+// Metric types that are measured against a numeric target
+const NUMERIC_METRIC_TYPES = ['increase_to', 'decrease_to', 'keep_above', 'keep_below'];
+
+// Who can see an OKR besides the people on it; see policies/index.js
+const VISIBILITIES = ['organization', 'department', 'team', 'private'];
+
+// Statuses change only through the transitions in utils/okrWorkflow.js
+const STATUSES = ['draft', 'pending_approval', 'active', 'completed', 'cancelled'];
+
+const keyResultSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Key result description is required'],
+    trim: true
+  },
+  // Free-text target, kept for key results that predate metric types
+  target: {
+    type: String,
+    trim: true
+  },
+  metricType: {
+    type: String,
+    enum: METRIC_TYPES,
+    default: 'percentage'
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  startValue: {
+    type: Number,
+    default: 0
+  },
+  targetValue: {
+    type: Number,
+    required: [
+      function() { return NUMERIC_METRIC_TYPES.includes(this.metricType); },
+      'Target value is required for this metric type'
+    ]
+  },
+  currentValue: {
+    type: Number
+  },
+  milestones: [{
+    title: {
+      type: String,
+      required: [true, 'Milestone title is required'],
+      trim: true
+    },
+    isDone: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Entered by hand for percentage key results, derived for every other metric type
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  // Relative importance of this key result within its OKR
+  weight: {
+    type: Number,
+    min: [0, 'Key result weight cannot be negative'],
+    default: 1
+  },
+  // Confidence from the most recent check-in
+  confidence: {
+    type: String,
+    enum: ['on_track', 'at_risk', 'off_track'],
+    default: 'on_track'
+  },
+  // Person responsible for this key result, who can update its progress
+  owner: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+});
+
+// Key results saved before weights existed count as weight 1
+const keyResultWeight = (kr) => (kr.weight != null ? kr.weight : 1);
+
+// Weights are relative, so they only make sense when every key result has
+// one, and they must add up to more than zero. Checked wherever key results
+// come in; returns an error message or null.
+const keyResultWeightError = (keyResults) => {
+  const weighted = keyResults.filter(kr => kr.weight !== undefined && kr.weight !== null);
+  if (weighted.length === 0) return null;
+
+  if (weighted.length !== keyResults.length) {
+    return 'Either every key result has a weight or none does';
+  }
+  if (weighted.reduce((sum, kr) => sum + Number(kr.weight), 0) <= 0) {
+    return 'Key result weights must add up to more than zero';
+  }
+  return null;
+};
+
+const clampProgress = (value) => Math.min(100, Math.max(0, Math.round(value)));
+
+// Derive progress from the key result's metric type and values
+keyResultSchema.methods.computeProgress = function() {
+  const start = this.startValue || 0;
+  const current = this.currentValue != null ? this.currentValue : start;
+  const target = this.targetValue;
+
+  if (NUMERIC_METRIC_TYPES.includes(this.metricType) && target == null) return 0;
+
+  switch (this.metricType) {
+    case 'increase_to':
+      if (target <= start) return current >= target ? 100 : 0;
+      return clampProgress(((current - start) / (target - start)) * 100);
+    case 'decrease_to':
+      if (target >= start) return current <= target ? 100 : 0;
+      return clampProgress(((start - current) / (start - target)) * 100);
+    case 'keep_above':
+      return this.currentValue != null && this.currentValue >= target ? 100 : 0;
+    case 'keep_below':
+      return this.currentValue != null && this.currentValue <= target ? 100 : 0;
+    case 'boolean':
+      return this.currentValue ? 100 : 0;
+    case 'milestone':
+      if (this.milestones.length > 0) {
+        const done = this.milestones.filter(milestone => milestone.isDone).length;
+        return clampProgress((done / this.milestones.length) * 100);
+      }
+      if (!target) return 0;
+      return clampProgress(((this.currentValue || 0) / target) * 100);
+    default:
+      return this.progress;
+  }
+};
 
 const okrSchema = new mongoose.Schema({
   title: {
@@ -11,23 +157,14 @@ const okrSchema = new mongoose.Schema({
     required: [true, 'Objective is required'],
     trim: true
   },
-  keyResults: [{
-    description: {
-      type: String,
-      required: [true, 'Key result description is required'],
-      trim: true
-    },
-    target: {
-      type: String,
-      trim: true
-    },
-    progress: {
-      type: Number,
-      min: 0,
-      max: 100,
-      default: 0
+  keyResults: {
+    type: [keyResultSchema],
+    validate: {
+      validator: keyResults => keyResults.length === 0 ||
+        keyResults.reduce((sum, kr) => sum + keyResultWeight(kr), 0) > 0,
+      message: 'Key result weights must add up to more than zero'
     }
-  }],
+  },
   assignedTo: {
     type: {
       type: String,
@@ -48,6 +185,25 @@ const okrSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Assigned by is required']
   },
+  // People sharing the OKR with its assignee: owners have the same rights,
+  // contributors can update progress, watchers are kept informed
+  owners: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  contributors: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  visibility: {
+    type: String,
+    enum: VISIBILITIES,
+    default: 'organization'
+  },
   organization: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Organization',
@@ -61,11 +217,71 @@ const okrSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Team'
   },
+  // OKR this objective supports, and optionally the specific key result on it
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OKR',
+    default: null
+  },
+  parentKeyResult: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  // Where progress comes from in the alignment tree views, which report it as
+  // `rolledUpProgress` (also frozen as `finalScore` when the cycle closes).
+  // `overallProgress` is always worked out from the OKR's own key results, in
+  // listings, details and analytics alike.
+  progressSource: {
+    type: String,
+    enum: ['key_results', 'children'],
+    default: 'key_results'
+  },
+  cycle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Cycle',
+    default: null
+  },
+  // Score frozen when the OKR's cycle is closed
+  finalScore: {
+    type: Number,
+    min: 0,
+    max: 100
+  },
+  carriedOverFrom: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OKR'
+  },
+  carriedOverTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OKR'
+  },
   status: {
     type: String,
-    enum: ['draft', 'active', 'completed', 'cancelled'],
+    enum: STATUSES,
     default: 'draft'
   },
+  // Set when an employee drafts an OKR for themselves; it then needs approval
+  // before it can become active
+  requiresApproval: {
+    type: Boolean,
+    default: false
+  },
+  // Every status transition, oldest first
+  statusHistory: [{
+    _id: false,
+    transition: String,
+    from: String,
+    to: String,
+    reason: String,
+    by: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   priority: {
     type: String,
     enum: ['low', 'medium', 'high', 'critical'],
@@ -82,22 +298,22 @@ const okrSchema = new mongoose.Schema({
   completedDate: {
     type: Date
   },
-  comments: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    text: {
-      type: String,
-      required: true,
-      trim: true
+  // Set by the overdue job once an open OKR passes its due date
+  overdueAt: {
+    type: Date,
+    default: null
+  },
+  // When the scheduled reminders last went out, so each is only sent once
+  reminders: {
+    dueSoonAt: {
+      type: Date,
+      default: null
     },
-    createdAt: {
+    checkInAt: {
       type: Date,
-      default: Date.now
+      default: null
     }
-  }],
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -106,12 +322,45 @@ const okrSchema = new mongoose.Schema({
   timestamps: true
 });
 
-// Calculate overall progress based on key results
+okrSchema.index({ organization: 1, parent: 1 });
+okrSchema.index({ organization: 1, cycle: 1 });
+okrSchema.index({ organization: 1, isActive: 1, createdAt: -1 });
+okrSchema.index({ organization: 1, isActive: 1, dueDate: 1 });
+okrSchema.index({ status: 1, isActive: 1, dueDate: 1 });
+okrSchema.index({ organization: 1, owners: 1 });
+okrSchema.index({ organization: 1, contributors: 1 });
+okrSchema.index({ organization: 1, watchers: 1 });
+okrSchema.index(
+  { title: 'text', objective: 'text', 'keyResults.description': 'text' },
+  { name: 'okr_text_search', weights: { title: 10, objective: 5, 'keyResults.description': 2 } }
+);
+
+// Keep derived key result progress in sync with the measured values
+okrSchema.pre('validate', function(next) {
+  this.keyResults.forEach(kr => {
+    if (kr.metricType !== 'percentage') {
+      kr.progress = kr.computeProgress();
+    }
+  });
+  next();
+});
+
+// A new due date restarts the due-soon reminder and clears the overdue flag
+okrSchema.pre('validate', function(next) {
+  if (!this.isNew && this.isModified('dueDate')) {
+    this.reminders.dueSoonAt = null;
+    if (this.dueDate > new Date()) this.overdueAt = null;
+  }
+  next();
+});
+
+// Calculate overall progress as the weighted average of the key results
 okrSchema.methods.calculateProgress = function() {
-  if (this.keyResults.length === 0) return 0;
-  
-  const totalProgress = this.keyResults.reduce((sum, kr) => sum + kr.progress, 0);
-  return Math.round(totalProgress / this.keyResults.length);
+  const totalWeight = this.keyResults.reduce((sum, kr) => sum + keyResultWeight(kr), 0);
+  if (totalWeight === 0) return 0;
+
+  const weightedProgress = this.keyResults.reduce((sum, kr) => sum + kr.progress * keyResultWeight(kr), 0);
+  return Math.round(weightedProgress / totalWeight);
 };
 
 // Virtual for overall progress
@@ -122,4 +371,24 @@ okrSchema.virtual('overallProgress').get(function() {
 // Ensure virtual fields are serialized
 okrSchema.set('toJSON', { virtuals: true });
 
-module.exports = mongoose.model('OKR', okrSchema); 
\ No newline at end of file
+okrSchema.plugin(tenantPlugin, {
+  refs: {
+    'assignedTo.user': 'User',
+    'assignedTo.team': 'Team',
+    owners: 'User',
+    contributors: 'User',
+    watchers: 'User',
+    'keyResults.owner': 'User',
+    department: 'Department',
+    team: 'Team',
+    parent: 'OKR',
+    cycle: 'Cycle'
+  }
+});
+
+module.exports = mongoose.model('OKR', okrSchema);
+module.exports.METRIC_TYPES = METRIC_TYPES;
+module.exports.NUMERIC_METRIC_TYPES = NUMERIC_METRIC_TYPES;
+module.exports.STATUSES = STATUSES;
+module.exports.VISIBILITIES = VISIBILITIES;
+module.exports.keyResultWeightError = keyResultWeightError; 
\ No newline at end of file
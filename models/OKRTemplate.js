@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+const { METRIC_TYPES, NUMERIC_METRIC_TYPES } = require('./OKR');
+
+// A key result as it is planned, before anyone has made progress on it
+const templateKeyResultSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: [true, 'Key result description is required'],
+    trim: true
+  },
+  metricType: {
+    type: String,
+    enum: METRIC_TYPES,
+    default: 'percentage'
+  },
+  unit: {
+    type: String,
+    trim: true
+  },
+  startValue: {
+    type: Number,
+    default: 0
+  },
+  targetValue: {
+    type: Number,
+    required: [
+      function() { return NUMERIC_METRIC_TYPES.includes(this.metricType); },
+      'Target value is required for this metric type'
+    ]
+  },
+  milestones: [{
+    _id: false,
+    title: {
+      type: String,
+      required: [true, 'Milestone title is required'],
+      trim: true
+    }
+  }],
+  weight: {
+    type: Number,
+    min: [0, 'Key result weight cannot be negative'],
+    default: 1
+  }
+}, { _id: false });
+
+const okrTemplateSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Template title is required'],
+    trim: true
+  },
+  objective: {
+    type: String,
+    required: [true, 'Objective is required'],
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  keyResults: {
+    type: [templateKeyResultSchema],
+    validate: {
+      validator: keyResults => keyResults.length > 0,
+      message: 'At least one key result is required'
+    }
+  },
+  tags: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // Null for platform-wide templates, which every organization can use
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // OKR the template was saved from, if any
+  sourceOkr: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'OKR',
+    default: null
+  },
+  usageCount: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+okrTemplateSchema.index({ organization: 1, isActive: 1, tags: 1 });
+okrTemplateSchema.index(
+  { title: 'text', objective: 'text', tags: 'text', 'keyResults.description': 'text' },
+  { name: 'okr_template_text_search', weights: { title: 10, tags: 5, objective: 5, 'keyResults.description': 2 } }
+);
+
+okrTemplateSchema.virtual('isGlobal').get(function() {
+  return !this.organization;
+});
+
+okrTemplateSchema.set('toJSON', { virtuals: true });
+
+// Key result fields carried between templates and OKRs. Progress, current
+// values and confidence belong to a particular OKR and are left behind.
+const plannedKeyResult = (kr) => ({
+  description: kr.description,
+  metricType: kr.metricType,
+  unit: kr.unit,
+  startValue: kr.startValue,
+  targetValue: kr.targetValue,
+  milestones: (kr.milestones || []).map(milestone => ({ title: milestone.title })),
+  weight: kr.weight
+});
+
+// Unsaved template copying the plan of an existing OKR
+okrTemplateSchema.statics.fromOkr = function(okr, fields) {
+  return new this({
+    title: okr.title,
+    objective: okr.objective,
+    keyResults: okr.keyResults.map(plannedKeyResult),
+    sourceOkr: okr._id,
+    ...fields
+  });
+};
+
+// Key results for a new OKR made from this template
+okrTemplateSchema.methods.toKeyResults = function() {
+  return this.keyResults.map(plannedKeyResult);
+};
+
+okrTemplateSchema.plugin(tenantPlugin, {
+  shared: true,
+  refs: {
+    sourceOkr: 'OKR'
+  }
+});
+
+module.exports = mongoose.model('OKRTemplate', okrTemplateSchema);
@@ -12,8 +12,14 @@ const organizationSchema = new mongoose.Schema({
   },
   domain: {
     type: String,
+    lowercase: true,
     trim: true
   },
+  // Let people who register with an email on `domain` join without an invite
+  allowDomainJoin: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -22,4 +28,10 @@ const organizationSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Signups on a domain can only go to one organization
+organizationSchema.index(
+  { domain: 1 },
+  { unique: true, partialFilterExpression: { allowDomainJoin: true } }
+);
+
 module.exports = mongoose.model('Organization', organizationSchema); 
\ No newline at end of file
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
 
 const teamSchema = new mongoose.Schema({
   name: {
@@ -32,4 +33,6 @@ const teamSchema = new mongoose.Schema({
   timestamps: true
 });
 
+teamSchema.plugin(tenantPlugin, { refs: { department: 'Department', teamLead: 'User' } });
+
 module.exports = mongoose.model('Team', teamSchema); 
\ No newline at end of file
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
+
+const MEMBERSHIP_ROLES = ['member', 'lead'];
+
+// A user's place on a team. Users can sit on any number of teams; `User.team`
+// is their primary one, which is always among them.
+const teamMembershipSchema = new mongoose.Schema({
+  team: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Team',
+    required: [true, 'Team is required']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'User is required']
+  },
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: [true, 'Organization is required']
+  },
+  role: {
+    type: String,
+    enum: MEMBERSHIP_ROLES,
+    default: 'member'
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+teamMembershipSchema.index({ team: 1, user: 1 }, { unique: true });
+teamMembershipSchema.index({ user: 1, role: 1 });
+
+// Ids of the users on a team, optionally only those with `role`
+teamMembershipSchema.statics.memberIdsOf = async function(teamId, { role } = {}) {
+  const filter = { team: teamId };
+  if (role) filter.role = role;
+  const memberships = await this.find(filter).select('user');
+  return memberships.map(membership => membership.user);
+};
+
+// Ids of the teams a user is on, optionally only those where they have `role`
+teamMembershipSchema.statics.teamIdsOf = async function(userId, { role } = {}) {
+  const filter = { user: userId };
+  if (role) filter.role = role;
+  const memberships = await this.find(filter).select('team');
+  return memberships.map(membership => membership.team);
+};
+
+teamMembershipSchema.plugin(tenantPlugin, { refs: { team: 'Team', user: 'User' } });
+
+module.exports = mongoose.model('TeamMembership', teamMembershipSchema);
+module.exports.MEMBERSHIP_ROLES = MEMBERSHIP_ROLES;
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
+const tenantPlugin = require('./plugins/tenant');
 const bcrypt = require('bcryptjs');
+const { NOTIFICATION_TYPES } = require('./Notification');
+
+// One on/off switch per notification type, all on by default
+const notificationPreferencesSchema = new mongoose.Schema(
+  NOTIFICATION_TYPES.reduce((fields, type) => {
+    fields[type] = { type: Boolean, default: true };
+    return fields;
+  }, {}),
+  { _id: false }
+);
 
 const userSchema = new mongoose.Schema({
   firstName: {
@@ -41,9 +52,29 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Organization'
   },
+  // Platform operator who manages tenants; unrelated to the per-organization role
+  isSuperAdmin: {
+    type: Boolean,
+    default: false
+  },
   isActive: {
     type: Boolean,
     default: true
+  },
+  passwordResetTokenHash: {
+    type: String,
+    select: false
+  },
+  passwordResetExpires: {
+    type: Date,
+    select: false
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  notificationPreferences: {
+    type: notificationPreferencesSchema,
+    default: () => ({})
   }
 }, {
   timestamps: true
@@ -56,6 +87,7 @@ userSchema.pre('save', async function(next) {
   try {
     const salt = await bcrypt.genSalt(10);
     this.password = await bcrypt.hash(this.password, salt);
+    if (!this.isNew) this.passwordChangedAt = new Date();
     next();
   } catch (error) {
     next(error);
@@ -71,7 +103,17 @@ userSchema.methods.comparePassword = async function(candidatePassword) {
 userSchema.methods.toJSON = function() {
   const user = this.toObject();
   delete user.password;
+  delete user.passwordResetTokenHash;
+  delete user.passwordResetExpires;
   return user;
 };
 
+userSchema.index({ organization: 1, isActive: 1, firstName: 1, lastName: 1 });
+userSchema.index(
+  { firstName: 'text', lastName: 'text', email: 'text' },
+  { name: 'user_text_search' }
+);
+
+userSchema.plugin(tenantPlugin, { refs: { team: 'Team', department: 'Department' } });
+
 module.exports = mongoose.model('User', userSchema); 
\ No newline at end of file
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const { currentTenant } = require('../../utils/tenantContext');
+
+const READ_HOOKS = [
+  'find',
+  'findOne',
+  'countDocuments',
+  'distinct'
+];
+
+const WRITE_HOOKS = [
+  'findOneAndUpdate',
+  'findOneAndDelete',
+  'findOneAndReplace',
+  'replaceOne',
+  'updateOne',
+  'updateMany',
+  'deleteOne',
+  'deleteMany'
+];
+
+// The organization queries should be scoped to, or undefined outside a tenant
+const activeTenant = () => {
+  const store = currentTenant();
+  if (!store || store.bypass) return undefined;
+  return store.organization;
+};
+
+const idOf = (value) => String((value && value._id) || value || '');
+const sameOrganization = (a, b) => idOf(a) === idOf(b);
+
+// Scope a schema to the organization in the tenant context.
+//
+// - Every query and aggregation is limited to the current organization, so a
+//   document from another tenant cannot be read or changed by id.
+// - Documents cannot be saved into another organization.
+// - `refs` maps paths to the models they reference; references must point at
+//   documents in the same organization as the document being saved.
+// - With `shared`, documents without an organization are platform-wide: every
+//   tenant can read them, but only code running outside a tenant can change them.
+const tenantPlugin = (schema, { refs = {}, shared = false } = {}) => {
+  const readScope = (organization) => (shared ? { organization: { $in: [organization, null] } } : { organization });
+
+  READ_HOOKS.forEach(hook => {
+    schema.pre(hook, function() {
+      const organization = activeTenant();
+      if (organization === undefined) return;
+      // `where` would replace an organization condition the caller set, such
+      // as one asking for platform-wide documents only
+      if (shared) {
+        this.and([readScope(organization)]);
+      } else {
+        this.where({ organization });
+      }
+    });
+  });
+
+  WRITE_HOOKS.forEach(hook => {
+    schema.pre(hook, function() {
+      const organization = activeTenant();
+      if (organization !== undefined) {
+        this.where({ organization });
+      }
+    });
+  });
+
+  schema.pre('aggregate', function() {
+    const organization = activeTenant();
+    if (organization !== undefined) {
+      this.pipeline().unshift({ $match: readScope(organization) });
+    }
+  });
+
+  schema.pre('validate', async function() {
+    const organization = activeTenant();
+    if (organization !== undefined && !sameOrganization(this.organization, organization)) {
+      this.invalidate('organization', 'Document belongs to another organization');
+      return;
+    }
+
+    for (const [path, modelName] of Object.entries(refs)) {
+      if (!this.isModified(path)) continue;
+
+      const value = this.get(path);
+      const ids = (Array.isArray(value) ? value : [value])
+        .filter(Boolean)
+        .map(id => id._id || id);
+      if (ids.length === 0) continue;
+
+      const found = await mongoose.model(modelName).countDocuments({
+        _id: { $in: ids },
+        organization: this.organization
+      });
+
+      if (found !== new Set(ids.map(String)).size) {
+        this.invalidate(path, `${modelName} not found in this organization`);
+      }
+    }
+  });
+};
+
+module.exports = tenantPlugin;
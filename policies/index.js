@@ -0,0 +1,268 @@
+// Central access policy. Every permission is a rule that receives the acting
+// user's scope (see `buildActor`) and the resource being acted on, so the rules
+// can be evaluated and tested without Express or a database.
+
+const { Types } = require('mongoose');
+
+// Normalize ObjectIds, populated documents and strings to a comparable string
+const idOf = (value) => {
+  if (!value) return null;
+  return (value._id || value).toString();
+};
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && idOf(a) === idOf(b);
+
+// Build the scope a user acts with: their role plus the teams they are on,
+// the teams they lead and the departments they head
+const buildActor = (user, { teamIds = [], ledTeamIds = [], headedDepartmentIds = [] } = {}) => {
+  const ledTeams = new Set(ledTeamIds.map(idOf));
+
+  // A team_lead is treated as the lead of their own team even before they
+  // are named on the team itself
+  if (user.role === 'team_lead' && user.team) {
+    ledTeams.add(idOf(user.team));
+  }
+
+  return {
+    user,
+    teams: new Set(teamIds.map(idOf)),
+    ledTeams,
+    headedDepartments: new Set(headedDepartmentIds.map(idOf))
+  };
+};
+
+const isAdmin = (actor) => actor.user.role === 'admin';
+const isSuperAdmin = (actor) => actor.user.isSuperAdmin === true;
+const inOrganization = (actor, organizationId) => sameId(actor.user.organization, organizationId);
+const isSelf = (actor, userId) => sameId(actor.user._id, userId);
+const leadsTeam = (actor, teamId) => Boolean(teamId) && actor.ledTeams.has(idOf(teamId));
+const headsDepartment = (actor, departmentId) => Boolean(departmentId) && actor.headedDepartments.has(idOf(departmentId));
+
+const orgAdmin = (actor, resource) => isAdmin(actor) && inOrganization(actor, resource.organization);
+
+// The team an OKR belongs to: the team it is assigned to, or the creator's team
+const okrTeam = (okr) => (okr.assignedTo && okr.assignedTo.type === 'team' && okr.assignedTo.team) || okr.team;
+
+const includesSelf = (actor, userIds) => (userIds || []).some(userId => isSelf(actor, userId));
+
+// The user an OKR is assigned to and its co-owners
+const isOkrOwner = (actor, okr) =>
+  (Boolean(okr.assignedTo) && okr.assignedTo.type === 'user' && isSelf(actor, okr.assignedTo.user)) ||
+  includesSelf(actor, okr.owners);
+
+const isOnOkrTeam = (actor, okr) =>
+  Boolean(okr.assignedTo) && okr.assignedTo.type === 'team' && Boolean(okr.assignedTo.team) &&
+  actor.teams.has(idOf(okr.assignedTo.team));
+
+// The people on an OKR: whoever assigned it, its owners, contributors and
+// watchers, the owners of its key results and, for a team OKR, the team's members
+const isOnOkr = (actor, okr) =>
+  isSelf(actor, okr.assignedBy) ||
+  isOkrOwner(actor, okr) ||
+  isOnOkrTeam(actor, okr) ||
+  includesSelf(actor, okr.contributors) ||
+  includesSelf(actor, okr.watchers) ||
+  (okr.keyResults || []).some(kr => isSelf(actor, kr.owner));
+
+// Who else an OKR is visible to, by its visibility. The people on it and org
+// admins always see it.
+const VISIBILITY_RULES = {
+  organization: () => true,
+  department: (actor, okr) => sameId(actor.user.department, okr.department) || headsDepartment(actor, okr.department),
+  team: (actor, okr) => {
+    const team = okrTeam(okr);
+    return (Boolean(team) && actor.teams.has(idOf(team))) || leadsTeam(actor, team) || headsDepartment(actor, okr.department);
+  },
+  private: () => false
+};
+
+// OKRs saved before visibility existed are visible organization-wide
+const seesOkr = (actor, okr) => inOrganization(actor, okr.organization) && (
+  isAdmin(actor) ||
+  isOnOkr(actor, okr) ||
+  VISIBILITY_RULES[okr.visibility || 'organization'](actor, okr)
+);
+
+// Anyone responsible for an OKR they can see: its assigner, its owners, the
+// lead of its team, the head of its department, or an org admin
+const managesOkr = (actor, okr) => seesOkr(actor, okr) && (
+  isAdmin(actor) ||
+  isSelf(actor, okr.assignedBy) ||
+  isOkrOwner(actor, okr) ||
+  leadsTeam(actor, okrTeam(okr)) ||
+  headsDepartment(actor, okr.department)
+);
+
+const toObjectIds = ids => [...ids].map(id => new Types.ObjectId(idOf(id)));
+
+// Mongo filter for the OKRs `seesOkr` lets the actor see, for listings and
+// aggregations that cannot check OKRs one by one. Keep the two in step.
+const visibleOkrFilter = (actor) => {
+  const organization = new Types.ObjectId(idOf(actor.user.organization));
+  if (isAdmin(actor)) return { organization };
+
+  const userId = new Types.ObjectId(idOf(actor.user._id));
+  const teams = toObjectIds(actor.teams);
+  const teamScope = toObjectIds(new Set([...actor.teams, ...actor.ledTeams]));
+  const headedDepartments = toObjectIds(actor.headedDepartments);
+  const departmentScope = actor.user.department
+    ? [...headedDepartments, ...toObjectIds([actor.user.department])]
+    : headedDepartments;
+
+  return {
+    organization,
+    $or: [
+      // By visibility; a missing one counts as organization-wide
+      { visibility: { $in: ['organization', null] } },
+      { visibility: 'department', department: { $in: departmentScope } },
+      { visibility: 'team', 'assignedTo.type': 'team', 'assignedTo.team': { $in: teamScope } },
+      { visibility: 'team', 'assignedTo.type': { $ne: 'team' }, team: { $in: teamScope } },
+      { visibility: 'team', department: { $in: headedDepartments } },
+      // The people on it
+      { assignedBy: userId },
+      { 'assignedTo.type': 'user', 'assignedTo.user': userId },
+      { 'assignedTo.type': 'team', 'assignedTo.team': { $in: teams } },
+      { owners: userId },
+      { contributors: userId },
+      { watchers: userId },
+      { 'keyResults.owner': userId }
+    ]
+  };
+};
+
+// Mongo filter for the OKRs `managesOkr` lets the actor manage, for listings
+// and aggregations that cannot check OKRs one by one. Keep the two in step.
+const managedOkrFilter = (actor) => {
+  const organization = new Types.ObjectId(idOf(actor.user.organization));
+  if (isAdmin(actor)) return { organization };
+
+  const userId = new Types.ObjectId(idOf(actor.user._id));
+  const ledTeams = toObjectIds(actor.ledTeams);
+
+  return {
+    organization,
+    $and: [
+      visibleOkrFilter(actor),
+      {
+        $or: [
+          { assignedBy: userId },
+          { 'assignedTo.type': 'user', 'assignedTo.user': userId },
+          { owners: userId },
+          { 'assignedTo.type': 'team', 'assignedTo.team': { $in: ledTeams } },
+          { 'assignedTo.type': { $ne: 'team' }, team: { $in: ledTeams } },
+          { department: { $in: toObjectIds(actor.headedDepartments) } }
+        ]
+      }
+    ]
+  };
+};
+
+const rules = {
+  // Organizations (resource: the organization itself). Listing and creating
+  // tenants is reserved for platform super-admins.
+  'organization.read': (actor, org) => isSuperAdmin(actor) || inOrganization(actor, org._id),
+  'organization.list': (actor) => isSuperAdmin(actor),
+  'organization.create': (actor) => isSuperAdmin(actor),
+  'organization.manage': (actor, org) => isSuperAdmin(actor) || (isAdmin(actor) && inOrganization(actor, org._id)),
+  'organization.archive': (actor) => isSuperAdmin(actor),
+  // Letting anyone with an email on a domain join, since that hands the
+  // domain's signups to the organization
+  'organization.domainJoin': (actor) => isSuperAdmin(actor),
+  // Moving teams and people between departments (resource: anything with an organization)
+  'organization.reorganize': orgAdmin,
+
+  // Departments (resource: the department)
+  'department.read': (actor, department) => inOrganization(actor, department.organization),
+  'department.create': (actor, department) => orgAdmin(actor, department),
+  'department.manage': (actor, department) => orgAdmin(actor, department) ||
+    (inOrganization(actor, department.organization) && headsDepartment(actor, department._id)),
+  'department.archive': (actor, department) => orgAdmin(actor, department),
+
+  // Teams (resource: the team)
+  'team.read': (actor, team) => inOrganization(actor, team.organization),
+  'team.create': (actor, team) => orgAdmin(actor, team) ||
+    (inOrganization(actor, team.organization) && headsDepartment(actor, team.department)),
+  'team.manage': (actor, team) => orgAdmin(actor, team) ||
+    (inOrganization(actor, team.organization) &&
+      (leadsTeam(actor, team._id) || headsDepartment(actor, team.department))),
+  'team.archive': (actor, team) => orgAdmin(actor, team) ||
+    (inOrganization(actor, team.organization) && headsDepartment(actor, team.department)),
+  // Choosing who leads a team, which team leads cannot do for themselves
+  'team.assignLead': (actor, team) => orgAdmin(actor, team) ||
+    (inOrganization(actor, team.organization) && headsDepartment(actor, team.department)),
+
+  // Users (resource: the user being read or changed)
+  'user.read': (actor, user) => inOrganization(actor, user.organization),
+  'user.update': (actor, user) => isSelf(actor, user._id) || orgAdmin(actor, user),
+  'user.manage': (actor, user) => orgAdmin(actor, user) ||
+    (inOrganization(actor, user.organization) && headsDepartment(actor, user.department)),
+
+  // OKRs (resource: the OKR). Every OKR rule requires being able to see it.
+  'okr.read': seesOkr,
+  'okr.create': (actor, okr) => inOrganization(actor, okr.organization),
+  'okr.update': managesOkr,
+  // Progress is also updated by the OKR's contributors and, for a team OKR,
+  // the team's members
+  'okr.progress': (actor, okr) => managesOkr(actor, okr) || (seesOkr(actor, okr) &&
+    (includesSelf(actor, okr.contributors) || isOnOkrTeam(actor, okr))),
+  // Progress on a single key result (resource: `{ okr, keyResult }`), which
+  // its owner can update too
+  'okr.keyResultProgress': (actor, { okr, keyResult }) => can(actor, 'okr.progress', okr) ||
+    (seesOkr(actor, okr) && isSelf(actor, keyResult.owner)),
+  // Approving is for someone responsible for the OKR other than its owners
+  'okr.approve': (actor, okr) => seesOkr(actor, okr) && !isOkrOwner(actor, okr) && (
+    isAdmin(actor) ||
+    isSelf(actor, okr.assignedBy) ||
+    leadsTeam(actor, okrTeam(okr)) ||
+    headsDepartment(actor, okr.department)
+  ),
+  'okr.delete': (actor, okr) => seesOkr(actor, okr) && (
+    isAdmin(actor) ||
+    isSelf(actor, okr.assignedBy) ||
+    headsDepartment(actor, okr.department)
+  ),
+  'okr.comment': seesOkr,
+
+  // Comments (resource: the comment)
+  'comment.update': (actor, comment) => inOrganization(actor, comment.organization) && isSelf(actor, comment.author),
+  'comment.delete': (actor, comment) => inOrganization(actor, comment.organization) &&
+    (isSelf(actor, comment.author) || isAdmin(actor)),
+  'comment.react': (actor, comment) => inOrganization(actor, comment.organization),
+
+  // OKR templates (resource: the template). Templates without an organization
+  // are platform-wide and belong to super-admins.
+  'template.read': (actor, template) => !template.organization || inOrganization(actor, template.organization),
+  'template.create': (actor, template) => (template.organization
+    ? inOrganization(actor, template.organization)
+    : isSuperAdmin(actor)),
+  'template.manage': (actor, template) => (template.organization
+    ? orgAdmin(actor, template) || (inOrganization(actor, template.organization) && isSelf(actor, template.createdBy))
+    : isSuperAdmin(actor)),
+
+  // Organization-wide administration (resource: anything with an organization)
+  'cycle.read': (actor, cycle) => inOrganization(actor, cycle.organization),
+  'cycle.manage': orgAdmin,
+  'invitation.manage': orgAdmin,
+  'audit.read': orgAdmin
+};
+
+const PERMISSIONS = Object.keys(rules);
+
+// Whether `actor` holds `permission` on `resource`
+const can = (actor, permission, resource = {}) => {
+  const rule = rules[permission];
+  if (!rule) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return Boolean(actor && actor.user && rule(actor, resource));
+};
+
+module.exports = {
+  PERMISSIONS,
+  buildActor,
+  can,
+  idOf,
+  sameId,
+  visibleOkrFilter,
+  managedOkrFilter
+};
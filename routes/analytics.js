@@ -0,0 +1,134 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const Cycle = require('../models/Cycle');
+const { auth, loadActor } = require('../middleware/auth');
+const { managedOkrFilter } = require('../policies');
+const { dateRangeValidators } = require('../utils/pagination');
+const { PERIOD_FORMATS, GROUPINGS, getSummary, getBreakdown, getProgressSeries } = require('../services/analytics');
+
+const router = express.Router();
+
+const DEFAULT_SERIES_DAYS = 90;
+
+const filterValidators = [
+  query('cycle').optional().isMongoId().withMessage('Cycle must be a valid id'),
+  query('department').optional().isMongoId().withMessage('Department must be a valid id'),
+  query('team').optional().isMongoId().withMessage('Team must be a valid id'),
+  ...dateRangeValidators('due')
+];
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(id);
+
+// Match the OKRs the caller may see analytics for: the whole organization for
+// admins, otherwise the OKRs they manage and can see. Query filters narrow it
+// further.
+const buildMatch = async (req) => {
+  const { cycle, department, team, dueFrom, dueTo } = req.query;
+  const match = { ...managedOkrFilter(await loadActor(req)), isActive: true };
+
+  if (cycle) match.cycle = toObjectId(cycle);
+  if (department) match.department = toObjectId(department);
+  // Same team attribution as the breakdown: the assigned team, else the creator's team
+  if (team) {
+    match.$and = [...(match.$and || []), {
+      $or: [
+        { 'assignedTo.type': 'team', 'assignedTo.team': toObjectId(team) },
+        { 'assignedTo.type': { $ne: 'team' }, team: toObjectId(team) }
+      ]
+    }];
+  }
+  if (dueFrom || dueTo) {
+    match.dueDate = {};
+    if (dueFrom) match.dueDate.$gte = new Date(dueFrom);
+    if (dueTo) match.dueDate.$lte = new Date(dueTo);
+  }
+
+  return match;
+};
+
+// @route   GET /api/analytics/summary
+// @desc    Get completion rate, average progress, overdue and at-risk counts, and status/priority distribution
+// @access  Private
+router.get('/summary', [auth, ...filterValidators], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await getSummary(await buildMatch(req)));
+  } catch (error) {
+    console.error('Get analytics summary error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/breakdown?by=department|team|user
+// @desc    Get completion rate and average progress grouped by department, team or assignee
+// @access  Private
+router.get('/breakdown', [
+  auth,
+  query('by').isIn(Object.keys(GROUPINGS)).withMessage(`By must be one of ${Object.keys(GROUPINGS).join(', ')}`),
+  ...filterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await getBreakdown(await buildMatch(req), req.query.by));
+  } catch (error) {
+    console.error('Get analytics breakdown error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/analytics/progress-over-time
+// @desc    Get average OKR progress per day, week or month, for a cycle or a date range
+// @access  Private
+router.get('/progress-over-time', [
+  auth,
+  query('interval').optional().isIn(Object.keys(PERIOD_FORMATS)).withMessage(`Interval must be one of ${Object.keys(PERIOD_FORMATS).join(', ')}`),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  ...filterValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // A cycle's own dates are the default range, otherwise the last few months
+    let from = req.query.from && new Date(req.query.from);
+    let to = req.query.to && new Date(req.query.to);
+
+    if (req.query.cycle) {
+      const cycle = await Cycle.findById(req.query.cycle);
+      if (!cycle || !cycle.isActive) {
+        return res.status(404).json({ message: 'Cycle not found' });
+      }
+      from = from || cycle.startDate;
+      to = to || cycle.endDate;
+    }
+
+    to = to || new Date();
+    from = from || new Date(to.getTime() - DEFAULT_SERIES_DAYS * 24 * 60 * 60 * 1000);
+
+    if (from > to) {
+      return res.status(400).json({ message: 'From must be before to' });
+    }
+
+    const interval = req.query.interval || 'week';
+    const series = await getProgressSeries(await buildMatch(req), { from, to, interval });
+
+    res.json({ from, to, interval, series });
+  } catch (error) {
+    console.error('Get progress over time error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,101 @@
+const express = require('express');
+const { query, param, validationResult } = require('express-validator');
+const AuditLog = require('../models/AuditLog');
+const { auth, requirePermission } = require('../middleware/auth');
+const {
+  paginationValidators,
+  parsePagination,
+  paginationMeta
+} = require('../utils/pagination');
+
+const router = express.Router();
+
+const MAX_LIMIT = 200;
+
+const listValidators = [
+  query('actor').optional().isMongoId().withMessage('Actor must be a valid id'),
+  query('from').optional().isISO8601().withMessage('From must be a valid date'),
+  query('to').optional().isISO8601().withMessage('To must be a valid date'),
+  ...paginationValidators(['createdAt'], { maxLimit: MAX_LIMIT })
+];
+
+// Run an audit log query with the shared actor/action/date filters and paging
+const findAuditLogs = async (req, filter) => {
+  const { actor, action, from, to } = req.query;
+  const pagination = parsePagination(req, { defaultSort: { createdAt: -1 }, defaultLimit: 50 });
+
+  if (actor) filter.actor = actor;
+  if (action) filter.action = action;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  const [logs, total] = await Promise.all([
+    AuditLog.find(filter)
+      .populate('actor', 'firstName lastName email')
+      .sort(pagination.sort)
+      .skip(pagination.skip)
+      .limit(pagination.limit),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return { logs, pagination: paginationMeta(pagination, total) };
+};
+
+// @route   GET /api/audit-logs
+// @desc    Query the organization's audit log by entity, actor, action and date range
+// @access  Private (Admin only)
+router.get('/', [
+  auth,
+  requirePermission('audit.read'),
+  query('entityType').optional().isIn(AuditLog.ENTITY_TYPES).withMessage('Invalid entity type'),
+  query('entityId').optional().isMongoId().withMessage('Entity id must be a valid id'),
+  ...listValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { organization: req.user.organization };
+    if (req.query.entityType) filter.entityType = req.query.entityType;
+    if (req.query.entityId) filter.entityId = req.query.entityId;
+
+    res.json(await findAuditLogs(req, filter));
+  } catch (error) {
+    console.error('Get audit logs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/audit-logs/:entityType/:entityId
+// @desc    Get the change history of a single entity
+// @access  Private (Admin only)
+router.get('/:entityType/:entityId', [
+  auth,
+  requirePermission('audit.read'),
+  param('entityType').isIn(AuditLog.ENTITY_TYPES).withMessage('Invalid entity type'),
+  param('entityId').isMongoId().withMessage('Entity id must be a valid id'),
+  ...listValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await findAuditLogs(req, {
+      organization: req.user.organization,
+      entityType: req.params.entityType,
+      entityId: req.params.entityId
+    }));
+  } catch (error) {
+    console.error('Get entity audit log error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
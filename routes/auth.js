@@ -1,11 +1,26 @@
 const express = require('express');
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
+const Organization = require('../models/Organization');
+const Invitation = require('../models/Invitation');
+const TeamMembership = require('../models/TeamMembership');
+const Session = require('../models/Session');
 const { auth } = require('../middleware/auth');
+const { generateToken, hashToken } = require('../utils/tokens');
+const {
+  signAccessToken,
+  startSession,
+  rotateSession,
+  revokeUserSessions
+} = require('../utils/sessions');
+const { sendMail } = require('../services/mailer');
+const mailTemplates = require('../services/mailer/templates');
+const { snapshot, recordAudit } = require('../services/audit');
 
 const router = express.Router();
 
+const PASSWORD_RESET_EXPIRE_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRE_MINUTES, 10) || 60;
+
 // @route   POST /api/auth/register
 // @desc    Register a new user
 // @access  Public
@@ -13,7 +28,8 @@ router.post('/register', [
   body('firstName').notEmpty().withMessage('First name is required'),
   body('lastName').notEmpty().withMessage('Last name is required'),
   body('email').isEmail().withMessage('Please enter a valid email'),
-  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
+  body('inviteToken').optional().isString().withMessage('Invite token must be a string')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -21,7 +37,7 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, lastName, email, password } = req.body;
+    const { firstName, lastName, email, password, inviteToken } = req.body;
 
     // Check if user already exists
     let user = await User.findOne({ email });
@@ -29,34 +45,105 @@ router.post('/register', [
       return res.status(400).json({ message: 'User already exists' });
     }
 
+    // Work out which organization the new user belongs to: an invitation
+    // wins, otherwise an organization that allows joining by email domain.
+    // Nobody can sign up outside an organization.
+    let invitation = null;
+    let membership = {};
+
+    if (inviteToken) {
+      invitation = await Invitation.findOne({ tokenHash: hashToken(inviteToken), status: 'pending' });
+
+      if (!invitation || invitation.isExpired) {
+        return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+      }
+
+      if (invitation.email !== email.toLowerCase()) {
+        return res.status(400).json({ message: 'Invitation was issued for a different email address' });
+      }
+
+      // Claim the invitation before using it, so two registrations racing on
+      // the same token cannot both redeem it
+      invitation = await Invitation.findOneAndUpdate(
+        { _id: invitation._id, status: 'pending', expiresAt: { $gt: new Date() } },
+        { status: 'accepted', acceptedAt: new Date() },
+        { new: true }
+      );
+
+      if (!invitation) {
+        return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+      }
+
+      membership = {
+        organization: invitation.organization,
+        role: invitation.role,
+        department: invitation.department,
+        team: invitation.team
+      };
+    } else {
+      const domain = email.split('@')[1].toLowerCase();
+      const organization = await Organization.findOne({ domain, allowDomainJoin: true, isActive: true });
+
+      if (!organization) {
+        return res.status(400).json({ message: 'An invitation is required to register' });
+      }
+
+      membership = { organization: organization._id };
+    }
+
     // Create new user
     user = new User({
       firstName,
       lastName,
       email,
       password,
+      ...membership
     });
 
-    await user.save();
+    try {
+      await user.save();
+    } catch (error) {
+      // Hand the invitation back so it can still be used
+      if (invitation) {
+        await Invitation.updateOne({ _id: invitation._id }, { status: 'pending', $unset: { acceptedAt: 1 } });
+      }
+      throw error;
+    }
 
-    // Generate JWT token
-    const payload = {
-      userId: user._id
-    };
+    if (user.team) {
+      await TeamMembership.create({ team: user.team, user: user._id, organization: user.organization });
+    }
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '24h'
+    await recordAudit({
+      req,
+      actor: user._id,
+      entityType: 'User',
+      entityId: user._id,
+      organization: user.organization,
+      action: 'create',
+      after: snapshot('User', user),
+      metadata: invitation ? { invitation: invitation._id } : undefined
     });
 
+    if (invitation) {
+      invitation.acceptedBy = user._id;
+      await invitation.save();
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await startSession(user, req);
+
     res.status(201).json({
       message: 'User registered successfully',
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
         lastName: user.lastName,
         email: user.email,
-        role: user.role
+        role: user.role,
+        organization: user.organization
       }
     });
 
@@ -93,18 +180,21 @@ router.post('/login', [
       return res.status(400).json({ message: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const payload = {
-      userId: user._id
-    };
+    if (!user.isActive) {
+      return res.status(403).json({ message: 'Account is deactivated' });
+    }
 
-    const token = jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRE || '24h'
-    });
+    if (user.organization && !user.organization.isActive && !user.isSuperAdmin) {
+      return res.status(403).json({ message: 'Organization is archived' });
+    }
+
+    // Start a session with a short-lived access token and a refresh token
+    const { token, refreshToken } = await startSession(user, req);
 
     res.json({
       message: 'Login successful',
       token,
+      refreshToken,
       user: {
         id: user._id,
         firstName: user.firstName,
@@ -138,4 +228,245 @@ router.get('/me', auth, async (req, res) => {
   }
 });
 
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').notEmpty().withMessage('Refresh token is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const rotated = await rotateSession(req.body.refreshToken, req);
+    if (!rotated) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+
+    const user = await User.findById(rotated.session.user);
+    if (!user || !user.isActive) {
+      await revokeUserSessions(rotated.session.user, 'user_deactivated');
+      return res.status(401).json({ message: 'Account is deactivated' });
+    }
+
+    res.json({
+      token: signAccessToken(user, rotated.session),
+      refreshToken: rotated.refreshToken
+    });
+  } catch (error) {
+    console.error('Refresh token error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the current session
+// @access  Private
+router.post('/logout', auth, async (req, res) => {
+  try {
+    req.authSession.revokedAt = new Date();
+    req.authSession.revokedReason = 'logout';
+    await req.authSession.save();
+
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    End every session of the current user
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await revokeUserSessions(req.user._id, 'logout_all');
+
+    res.json({ message: 'Logged out of all sessions' });
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    Get the current user's active sessions
+// @access  Private
+router.get('/sessions', auth, async (req, res) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      ...session.toJSON(),
+      current: session._id.equals(req.authSession._id)
+    })));
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', auth, async (req, res) => {
+  try {
+    const session = await Session.findOne({ _id: req.params.id, user: req.user._id, revokedAt: null });
+    if (!session) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    session.revokedAt = new Date();
+    session.revokedReason = 'revoked_by_user';
+    await session.save();
+
+    res.json({ message: 'Session revoked successfully' });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please enter a valid email')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    const response = { message: 'If that email is registered, a reset link is on its way' };
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase() });
+    if (!user || !user.isActive) {
+      return res.json(response);
+    }
+
+    const { token, tokenHash } = generateToken();
+    user.passwordResetTokenHash = tokenHash;
+    user.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_EXPIRE_MINUTES * 60 * 1000);
+    await user.save();
+
+    try {
+      await sendMail(mailTemplates.passwordReset({
+        user,
+        token,
+        expiresInMinutes: PASSWORD_RESET_EXPIRE_MINUTES
+      }));
+    } catch (mailError) {
+      console.error('Password reset email error:', mailError);
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password using a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
+    });
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save();
+
+    // Whoever had the old password should not stay signed in
+    await revokeUserSessions(user._id, 'password_reset');
+
+    await recordAudit({
+      req,
+      actor: user._id,
+      entityType: 'User',
+      entityId: user._id,
+      organization: user.organization,
+      action: 'password_reset'
+    });
+
+    res.json({ message: 'Password has been reset, please log in again' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/auth/change-password
+// @desc    Change the current user's password
+// @access  Private
+router.put('/change-password', [
+  auth,
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    const isMatch = await user.comparePassword(req.body.currentPassword);
+    if (!isMatch) {
+      return res.status(400).json({ message: 'Current password is incorrect' });
+    }
+
+    user.password = req.body.newPassword;
+    await user.save();
+
+    // Keep this session, sign every other device out
+    await revokeUserSessions(user._id, 'password_changed', req.authSession._id);
+
+    await recordAudit({
+      req,
+      entityType: 'User',
+      entityId: user._id,
+      organization: user.organization,
+      action: 'password_change'
+    });
+
+    try {
+      await sendMail(mailTemplates.passwordChanged({ user }));
+    } catch (mailError) {
+      console.error('Password changed email error:', mailError);
+    }
+
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 module.exports = router; 
\ No newline at end of file
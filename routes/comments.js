@@ -0,0 +1,204 @@
+const express = require('express');
+const { body, param, validationResult } = require('express-validator');
+const Comment = require('../models/Comment');
+const OKR = require('../models/OKR');
+const { auth, hasPermission } = require('../middleware/auth');
+const { populateComment, resolveMentions } = require('../services/comments');
+const { notifyMentioned } = require('../services/notifications');
+const { publishOkrEvent } = require('../services/realtime');
+
+const router = express.Router();
+
+// One emoji, including skin tones, flags and joined sequences
+const EMOJI = /^(?=.*[\p{Extended_Pictographic}\p{Regional_Indicator}])[\p{Extended_Pictographic}\p{Regional_Indicator}\p{Emoji_Modifier}\u200D\uFE0F]{1,16}$/u;
+
+const emojiValidator = (field) => field
+  .custom(value => typeof value === 'string' && EMOJI.test(value))
+  .withMessage('Reaction must be a single emoji');
+
+// Load a comment that has not been deleted, along with its OKR
+const findComment = async (id) => {
+  const comment = await Comment.findById(id);
+  if (!comment || comment.deletedAt) return {};
+
+  const okr = await OKR.findById(comment.okr);
+  if (!okr || !okr.isActive) return {};
+
+  return { comment, okr };
+};
+
+// Whether the caller holds `permission` on a comment and can see its OKR
+const canActOn = async (req, permission, comment, okr) =>
+  (await hasPermission(req, 'okr.read', okr)) && hasPermission(req, permission, comment);
+
+// @route   PUT /api/comments/:id
+// @desc    Edit a comment, keeping the previous text in its edit history
+// @access  Private (Author only)
+router.put('/:id', [
+  auth,
+  body('text').trim().notEmpty().withMessage('Comment text is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { comment, okr } = await findComment(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!(await canActOn(req, 'comment.update', comment, okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (comment.text === req.body.text) {
+      return res.json(await populateComment(comment));
+    }
+
+    const previouslyMentioned = new Set(comment.mentions.map(id => id.toString()));
+    const now = new Date();
+
+    comment.edits.push({ text: comment.text, editedAt: now });
+    comment.text = req.body.text;
+    comment.editedAt = now;
+    comment.mentions = await resolveMentions(req.body.text, comment.organization);
+
+    await comment.save();
+
+    // Only people the edit newly mentions are told about it
+    await notifyMentioned({
+      okr,
+      actor: req.user,
+      comment,
+      userIds: comment.mentions.filter(id => !previouslyMentioned.has(id.toString()))
+    });
+
+    await populateComment(comment);
+
+    publishOkrEvent('comment_updated', okr, { actor: req.user, comment });
+
+    res.json(comment);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/comments/:id
+// @desc    Delete a comment. Its replies stay, under a placeholder.
+// @access  Private (Author or Admin)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const { comment, okr } = await findComment(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!(await canActOn(req, 'comment.delete', comment, okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    comment.deletedAt = new Date();
+    comment.deletedBy = req.user._id;
+    await comment.save();
+
+    publishOkrEvent('comment_deleted', okr, { actor: req.user, commentId: comment._id });
+
+    res.json({ message: 'Comment deleted successfully' });
+  } catch (error) {
+    console.error('Delete comment error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments/:id/reactions
+// @desc    React to a comment with an emoji
+// @access  Private
+router.post('/:id/reactions', [
+  auth,
+  emojiValidator(body('emoji'))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { comment, okr } = await findComment(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!(await canActOn(req, 'comment.react', comment, okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Adding the same reaction twice is a no-op
+    const updated = await Comment.findOneAndUpdate(
+      { _id: comment._id, reactions: { $not: { $elemMatch: { emoji: req.body.emoji, user: req.user._id } } } },
+      { $push: { reactions: { emoji: req.body.emoji, user: req.user._id } } },
+      { new: true }
+    );
+
+    if (updated) {
+      publishOkrEvent('comment_reacted', okr, {
+        actor: req.user,
+        commentId: comment._id,
+        reactionSummary: updated.reactionSummary
+      });
+    }
+
+    res.json(await populateComment(updated || comment));
+  } catch (error) {
+    console.error('Add reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/comments/:id/reactions/:emoji
+// @desc    Remove the current user's emoji reaction from a comment
+// @access  Private
+router.delete('/:id/reactions/:emoji', [
+  auth,
+  emojiValidator(param('emoji'))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { comment, okr } = await findComment(req.params.id);
+    if (!comment) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+
+    if (!(await canActOn(req, 'comment.react', comment, okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const updated = await Comment.findOneAndUpdate(
+      { _id: comment._id },
+      { $pull: { reactions: { emoji: req.params.emoji, user: req.user._id } } },
+      { new: true }
+    );
+
+    publishOkrEvent('comment_reacted', okr, {
+      actor: req.user,
+      commentId: comment._id,
+      reactionSummary: updated.reactionSummary
+    });
+
+    res.json(await populateComment(updated));
+  } catch (error) {
+    console.error('Remove reaction error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
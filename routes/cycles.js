@@ -0,0 +1,293 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Cycle = require('../models/Cycle');
+const OKR = require('../models/OKR');
+const { auth, hasPermission, requirePermission } = require('../middleware/auth');
+const { buildAlignmentTree, alignmentLevels } = require('../utils/okrAlignment');
+const { snapshot, recordAudit } = require('../services/audit');
+
+const router = express.Router();
+
+// Flatten an alignment tree into a map of OKR id -> rolled-up progress
+const collectRolledUpProgress = (nodes, scores = new Map()) => {
+  nodes.forEach(node => {
+    scores.set(node._id.toString(), node.rolledUpProgress);
+    collectRolledUpProgress(node.children, scores);
+  });
+  return scores;
+};
+
+// Copy an unfinished OKR into another cycle. Key results keep their ids so
+// alignments to a specific key result survive the carry-over.
+const carryOverOkr = (okr, cycle) => new OKR({
+  title: okr.title,
+  objective: okr.objective,
+  keyResults: okr.keyResults.map(kr => kr.toObject()),
+  assignedTo: okr.assignedTo,
+  assignedBy: okr.assignedBy,
+  owners: okr.owners,
+  contributors: okr.contributors,
+  watchers: okr.watchers,
+  visibility: okr.visibility,
+  organization: okr.organization,
+  department: okr.department,
+  team: okr.team,
+  parent: okr.parent,
+  parentKeyResult: okr.parentKeyResult,
+  progressSource: okr.progressSource,
+  cycle: cycle._id,
+  status: okr.status,
+  requiresApproval: okr.requiresApproval,
+  priority: okr.priority,
+  startDate: cycle.startDate,
+  dueDate: cycle.endDate,
+  carriedOverFrom: okr._id
+});
+
+// @route   GET /api/cycles
+// @desc    Get all cycles in user's organization
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const filter = { organization: req.user.organization, isActive: true };
+    if (req.query.state) filter.state = req.query.state;
+
+    const cycles = await Cycle.find(filter).sort({ startDate: -1 });
+
+    res.json(cycles);
+  } catch (error) {
+    console.error('Get cycles error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/cycles/:id
+// @desc    Get cycle by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const cycle = await Cycle.findById(req.params.id);
+
+    if (!cycle || !cycle.isActive) {
+      return res.status(404).json({ message: 'Cycle not found' });
+    }
+
+    if (!(await hasPermission(req, 'cycle.read', cycle))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(cycle);
+  } catch (error) {
+    console.error('Get cycle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/cycles
+// @desc    Create cycle
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  requirePermission('cycle.manage'),
+  body('name').notEmpty().withMessage('Cycle name is required'),
+  body('startDate').isISO8601().withMessage('Valid start date is required'),
+  body('endDate').isISO8601().withMessage('Valid end date is required'),
+  body('state').optional().isIn(['planning', 'active']).withMessage('State must be planning or active')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, startDate, endDate, state } = req.body;
+
+    if (new Date(endDate) <= new Date(startDate)) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    const cycle = new Cycle({
+      name,
+      organization: req.user.organization,
+      startDate: new Date(startDate),
+      endDate: new Date(endDate),
+      state
+    });
+
+    await cycle.save();
+
+    res.status(201).json(cycle);
+  } catch (error) {
+    console.error('Create cycle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/cycles/:id
+// @desc    Update cycle
+// @access  Private (Admin only)
+router.put('/:id', [
+  auth,
+  requirePermission('cycle.manage'),
+  body('name').optional().notEmpty().withMessage('Cycle name cannot be empty'),
+  body('startDate').optional().isISO8601().withMessage('Valid start date is required'),
+  body('endDate').optional().isISO8601().withMessage('Valid end date is required'),
+  body('state').optional().isIn(['planning', 'active']).withMessage('Use the close endpoint to close a cycle')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cycle = await Cycle.findById(req.params.id);
+    if (!cycle || !cycle.isActive) {
+      return res.status(404).json({ message: 'Cycle not found' });
+    }
+
+    if (!(await hasPermission(req, 'cycle.manage', cycle))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (cycle.state === 'closed') {
+      return res.status(400).json({ message: 'Closed cycles cannot be changed' });
+    }
+
+    const { name, startDate, endDate, state } = req.body;
+
+    if (name) cycle.name = name;
+    if (startDate) cycle.startDate = new Date(startDate);
+    if (endDate) cycle.endDate = new Date(endDate);
+    if (state) cycle.state = state;
+
+    if (cycle.endDate <= cycle.startDate) {
+      return res.status(400).json({ message: 'End date must be after start date' });
+    }
+
+    await cycle.save();
+
+    res.json(cycle);
+  } catch (error) {
+    console.error('Update cycle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/cycles/:id/close
+// @desc    Close a cycle, freeze final scores and optionally carry unfinished OKRs forward
+// @access  Private (Admin only)
+router.post('/:id/close', [
+  auth,
+  requirePermission('cycle.manage'),
+  body('carryOverTo').optional({ values: 'null' }).isMongoId().withMessage('Carry-over cycle must be a valid id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const cycle = await Cycle.findById(req.params.id);
+    if (!cycle || !cycle.isActive) {
+      return res.status(404).json({ message: 'Cycle not found' });
+    }
+
+    if (!(await hasPermission(req, 'cycle.manage', cycle))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (cycle.state === 'closed') {
+      return res.status(400).json({ message: 'Cycle is already closed' });
+    }
+
+    let nextCycle = null;
+    if (req.body.carryOverTo) {
+      nextCycle = await Cycle.findById(req.body.carryOverTo);
+
+      if (!nextCycle || !nextCycle.isActive ||
+          nextCycle.organization.toString() !== cycle.organization.toString()) {
+        return res.status(400).json({ message: 'Carry-over cycle not found' });
+      }
+
+      if (nextCycle._id.equals(cycle._id) || nextCycle.state === 'closed') {
+        return res.status(400).json({ message: 'OKRs can only be carried over into another open cycle' });
+      }
+    }
+
+    const okrs = await OKR.find({ cycle: cycle._id, isActive: true });
+    const scores = collectRolledUpProgress(buildAlignmentTree(okrs));
+    const before = new Map(okrs.map(okr => [okr._id.toString(), snapshot('OKR', okr)]));
+
+    // Closing can be retried after failing part way through: copies an
+    // earlier attempt made are found by the OKR they came from and reused.
+    // Copies are written parents first, so a child can point at its parent's
+    // copy, and originals only point at copies once they exist.
+    const carried = new Map();
+    if (nextCycle) {
+      const unfinished = okrs.filter(okr => !['completed', 'cancelled'].includes(okr.status));
+
+      const existing = await OKR.find({ carriedOverFrom: { $in: unfinished.map(okr => okr._id) } }).select('carriedOverFrom');
+      existing.forEach(copy => carried.set(copy.carriedOverFrom.toString(), copy._id));
+
+      for (const level of alignmentLevels(unfinished)) {
+        const copies = level
+          .filter(okr => !carried.has(okr._id.toString()))
+          .map(okr => {
+            const copy = carryOverOkr(okr, nextCycle);
+            const movedParent = copy.parent && carried.get(copy.parent.toString());
+            if (movedParent) copy.parent = movedParent;
+            return copy;
+          });
+
+        await OKR.insertMany(copies);
+
+        for (const copy of copies) {
+          carried.set(copy.carriedOverFrom.toString(), copy._id);
+          await recordAudit({
+            req,
+            entityType: 'OKR',
+            entityId: copy._id,
+            organization: copy.organization,
+            action: 'create',
+            after: snapshot('OKR', copy),
+            metadata: { carriedOverFrom: copy.carriedOverFrom, cycle: nextCycle._id }
+          });
+        }
+      }
+    }
+
+    for (const okr of okrs) {
+      okr.finalScore = scores.get(okr._id.toString());
+      const copyId = carried.get(okr._id.toString());
+      if (copyId) okr.carriedOverTo = copyId;
+      await okr.save();
+
+      await recordAudit({
+        req,
+        entityType: 'OKR',
+        entityId: okr._id,
+        organization: okr.organization,
+        action: 'cycle_close',
+        before: before.get(okr._id.toString()),
+        after: snapshot('OKR', okr),
+        metadata: { cycle: cycle._id }
+      });
+    }
+
+    cycle.state = 'closed';
+    cycle.closedAt = new Date();
+    cycle.closedBy = req.user._id;
+    await cycle.save();
+
+    res.json({
+      cycle,
+      scored: okrs.length,
+      carriedOver: [...carried].map(([from, to]) => ({ from, to }))
+    });
+  } catch (error) {
+    console.error('Close cycle error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,45 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const Department = require('../models/Department');
-const { auth, authorize } = require('../middleware/auth');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { auth, hasPermission, requirePermission } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const {
+  runStructureChange,
+  countOpenOkrsAssignedTo,
+  moveTeam,
+  moveUser,
+  archiveDepartment
+} = require('../services/orgStructure');
 
 const router = express.Router();
 
+const REORGANIZE_LIMIT = 500;
+
+const populateDepartment = (query) => query
+  .populate('organization', 'name')
+  .populate('head', 'firstName lastName email');
+
+const hasDuplicates = (values) => new Set(values).size !== values.length;
+
 // @route   GET /api/departments
-// @desc    Get all departments in user's organization
+// @desc    Get all departments in user's organization, or the archived ones with archived=true
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  query('archived').optional().isBoolean().withMessage('Archived must be true or false')
+], async (req, res) => {
   try {
-    const departments = await Department.find({ 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const departments = await populateDepartment(Department.find({
       organization: req.user.organization,
-      isActive: true 
-    })
-    .populate('organization', 'name')
+      isActive: req.query.archived !== 'true'
+    }))
     .sort({ name: 1 });
 
     res.json(departments);
@@ -28,15 +54,14 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const department = await Department.findById(req.params.id)
-      .populate('organization', 'name');
+    const department = await populateDepartment(Department.findById(req.params.id));
 
     if (!department) {
       return res.status(404).json({ message: 'Department not found' });
     }
 
     // Check if user has access to this department
-    if (department.organization.toString() !== req.user.organization.toString()) {
+    if (!(await hasPermission(req, 'department.read', department))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -49,27 +74,342 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/departments
 // @desc    Create department
-// @access  Private (Admin/Team Lead)
-router.post('/', auth, authorize('admin', 'team_lead'), async (req, res) => {
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  requirePermission('department.create'),
+  body('name').trim().notEmpty().withMessage('Department name is required'),
+  body('description').optional().isString().trim(),
+  body('head').optional({ values: 'null' }).isMongoId().withMessage('Department head must be a valid user id')
+], async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, head } = req.body;
+
+    if (head && !(await User.exists({ _id: head, organization: req.user.organization }))) {
+      return res.status(400).json({ message: 'Department head must belong to the organization' });
+    }
 
     const department = new Department({
       name,
       description,
-      organization: req.user.organization
+      organization: req.user.organization,
+      head: head || undefined
     });
 
     await department.save();
 
-    const populatedDepartment = await Department.findById(department._id)
-      .populate('organization', 'name');
+    await recordAudit({
+      req,
+      entityType: 'Department',
+      entityId: department._id,
+      organization: department.organization,
+      action: 'create',
+      after: snapshot('Department', department)
+    });
 
-    res.status(201).json(populatedDepartment);
+    res.status(201).json(await populateDepartment(Department.findById(department._id)));
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Create department error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// @route   POST /api/departments/reorganize
+// @desc    Move teams and users between departments in one go: either every
+//          move happens or none does. A moved team takes its members along,
+//          unless they are moved somewhere else in the same request. OKRs
+//          keep the department they were created in.
+// @access  Private (Admin only)
+router.post('/reorganize', [
+  auth,
+  requirePermission('organization.reorganize'),
+  body('teams').optional().isArray({ max: REORGANIZE_LIMIT }).withMessage(`Teams must be a list of at most ${REORGANIZE_LIMIT} moves`),
+  body('teams.*.team').isMongoId().withMessage('Team must be a valid id'),
+  body('teams.*.department').isMongoId().withMessage('Department must be a valid id'),
+  body('users').optional().isArray({ max: REORGANIZE_LIMIT }).withMessage(`Users must be a list of at most ${REORGANIZE_LIMIT} moves`),
+  body('users.*.user').isMongoId().withMessage('User must be a valid id'),
+  body('users.*.department').isMongoId().withMessage('Department must be a valid id'),
+  body('users.*.team').optional({ values: 'null' }).isMongoId().withMessage('Team must be a valid id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const teamMoves = req.body.teams || [];
+    const userMoves = req.body.users || [];
+
+    if (teamMoves.length === 0 && userMoves.length === 0) {
+      return res.status(400).json({ message: 'Nothing to move' });
+    }
+    if (hasDuplicates(teamMoves.map(move => move.team)) || hasDuplicates(userMoves.map(move => move.user))) {
+      return res.status(400).json({ message: 'Each team and user can only be moved once' });
+    }
+
+    const departmentIds = [...new Set([...teamMoves, ...userMoves].map(move => move.department))];
+    const teamIds = [...new Set([
+      ...teamMoves.map(move => move.team),
+      ...userMoves.filter(move => move.team).map(move => move.team)
+    ])];
+
+    const [departments, teams, users] = await Promise.all([
+      Department.find({ _id: { $in: departmentIds }, isActive: true }).select('_id'),
+      Team.find({ _id: { $in: teamIds }, isActive: true }),
+      User.find({ _id: { $in: userMoves.map(move => move.user) }, isActive: true })
+    ]);
+
+    if (departments.length !== departmentIds.length) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+    if (teams.length !== teamIds.length) {
+      return res.status(400).json({ message: 'Team not found' });
+    }
+    if (users.length !== userMoves.length) {
+      return res.status(400).json({ message: 'User not found' });
+    }
+
+    // Where each team will be once the team moves are done
+    const teamsById = new Map(teams.map(team => [team._id.toString(), team]));
+    const teamDepartment = new Map(teams.map(team => [team._id.toString(), team.department.toString()]));
+    teamMoves.forEach(move => teamDepartment.set(move.team, move.department));
+
+    const misplaced = userMoves.find(move => move.team && teamDepartment.get(move.team) !== move.department);
+    if (misplaced) {
+      return res.status(400).json({ message: 'A user\'s team must belong to the department they move to' });
+    }
+
+    const summary = await runStructureChange(req, async (ctx) => {
+      const metadata = { cascade: 'reorganization' };
+
+      for (const move of teamMoves) {
+        await moveTeam(teamsById.get(move.team), move.department, ctx, metadata);
+      }
+
+      // Load users afresh: a team move above may already have moved them
+      for (const move of userMoves) {
+        const user = await User.findById(move.user).session(ctx.session);
+        await moveUser(user, move, ctx, metadata);
+      }
+
+      return {
+        teams: teamMoves.length,
+        users: new Set(ctx.changes.filter(change => change.entityType === 'User').map(change => change.entityId.toString())).size
+      };
+    });
+
+    res.json({ message: 'Reorganization completed successfully', moved: summary });
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Reorganize error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/departments/:id
+// @desc    Update department
+// @access  Private (Admin/Department Head; changing the head is Admin only)
+router.put('/:id', [
+  auth,
+  body('name').optional().trim().notEmpty().withMessage('Department name cannot be empty'),
+  body('description').optional().isString().trim(),
+  body('head').optional({ values: 'null' }).isMongoId().withMessage('Department head must be a valid user id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const department = await Department.findById(req.params.id);
+    if (!department || !department.isActive) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (!(await hasPermission(req, 'department.manage', department))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { name, description, head } = req.body;
+
+    if (head !== undefined && String(head) !== String(department.head)) {
+      // A head cannot hand the department to someone else
+      if (!(await hasPermission(req, 'department.archive', department))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (head && !(await User.exists({ _id: head, organization: department.organization, isActive: true }))) {
+        return res.status(400).json({ message: 'Department head must belong to the organization' });
+      }
+    }
+
+    const before = snapshot('Department', department);
+
+    if (name !== undefined) department.name = name;
+    if (description !== undefined) department.description = description;
+    if (head !== undefined) department.head = head || null;
+
+    await department.save();
+
+    await recordAudit({
+      req,
+      entityType: 'Department',
+      entityId: department._id,
+      organization: department.organization,
+      action: 'update',
+      before,
+      after: snapshot('Department', department)
+    });
+
+    res.json(await populateDepartment(Department.findById(department._id)));
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/departments/:id/archive
+// @desc    Archive department. Its active teams must be moved to another
+//          department (moveTeamsTo) or archived along with it (archiveTeams=true),
+//          in which case their open OKRs are moved (moveOkrsTo) or cancelled
+//          (cancelOkrs=true) as when archiving a team. People left in it are
+//          left without a department; OKRs keep it as a record.
+// @access  Private (Admin only)
+router.post('/:id/archive', [
+  auth,
+  body('moveTeamsTo').optional().isMongoId().withMessage('Department to move teams to must be a valid id'),
+  body('archiveTeams').optional().isBoolean().withMessage('Archive teams must be true or false').toBoolean(),
+  body('moveOkrsTo').optional().isMongoId().withMessage('Team to move OKRs to must be a valid id'),
+  body('cancelOkrs').optional().isBoolean().withMessage('Cancel OKRs must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const department = await Department.findById(req.params.id);
+    if (!department || !department.isActive) {
+      return res.status(404).json({ message: 'Department not found' });
+    }
+
+    if (!(await hasPermission(req, 'department.archive', department))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { moveTeamsTo, archiveTeams = false, moveOkrsTo, cancelOkrs = false } = req.body;
+
+    if (moveTeamsTo && archiveTeams) {
+      return res.status(400).json({ message: 'Either move or archive the department\'s teams, not both' });
+    }
+    if (moveOkrsTo && cancelOkrs) {
+      return res.status(400).json({ message: 'Either move or cancel the teams\' OKRs, not both' });
+    }
+
+    const teams = await Team.find({ department: department._id, isActive: true }).select('_id');
+    const teamIds = teams.map(team => team._id);
+
+    let targetDepartment = null;
+    if (moveTeamsTo) {
+      targetDepartment = await Department.findOne({ _id: moveTeamsTo, isActive: true });
+      if (!targetDepartment || targetDepartment._id.equals(department._id)) {
+        return res.status(400).json({ message: 'Department to move teams to not found' });
+      }
+    }
+
+    if (teams.length > 0 && !targetDepartment && !archiveTeams) {
+      return res.status(409).json({
+        message: `The department has ${teams.length} active teams; move them with moveTeamsTo or archive them with archiveTeams`,
+        teams: teams.length
+      });
+    }
+
+    let targetTeam = null;
+    let openOkrs = 0;
+    if (archiveTeams) {
+      if (moveOkrsTo) {
+        targetTeam = await Team.findOne({ _id: moveOkrsTo, isActive: true });
+        if (!targetTeam || teamIds.some(id => id.equals(targetTeam._id))) {
+          return res.status(400).json({ message: 'Team to move OKRs to must be an active team outside this department' });
+        }
+      }
+
+      openOkrs = await countOpenOkrsAssignedTo(teamIds);
+      if (openOkrs > 0 && !targetTeam && !cancelOkrs) {
+        return res.status(409).json({
+          message: `The department's teams have ${openOkrs} open OKRs; move them with moveOkrsTo or cancel them with cancelOkrs`,
+          openOkrs
+        });
+      }
+    }
+
+    await runStructureChange(req, ctx => archiveDepartment(department, {
+      moveTeamsTo: targetDepartment,
+      archiveTeams,
+      moveOkrsTo: targetTeam,
+      cancelOkrs
+    }, ctx));
+
+    res.json({ message: 'Department archived successfully', teams: teams.length, openOkrs });
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error('Archive department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/departments/:id/restore
+// @desc    Restore an archived department. Teams and people that were moved
+//          out or archived with it stay where they are.
+// @access  Private (Admin only)
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const department = await Department.findById(req.params.id);
+    if (!department || department.isActive) {
+      return res.status(404).json({ message: 'Archived department not found' });
+    }
+
+    if (!(await hasPermission(req, 'department.archive', department))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const before = snapshot('Department', department);
+
+    department.isActive = true;
+    await department.save();
+
+    await recordAudit({
+      req,
+      entityType: 'Department',
+      entityId: department._id,
+      organization: department.organization,
+      action: 'restore',
+      before,
+      after: snapshot('Department', department)
+    });
+
+    res.json(await populateDepartment(Department.findById(department._id)));
+  } catch (error) {
+    console.error('Restore department error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
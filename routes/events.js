@@ -0,0 +1,153 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const { query, validationResult } = require('express-validator');
+const OKR = require('../models/OKR');
+const Team = require('../models/Team');
+const Session = require('../models/Session');
+const User = require('../models/User');
+const { auth, loadActor, hasPermission } = require('../middleware/auth');
+const { addClient } = require('../services/realtime');
+const { loadActorFor } = require('../services/actors');
+
+const router = express.Router();
+
+const HEARTBEAT_INTERVAL = 25 * 1000;
+
+const isMongoId = value => /^[a-f\d]{24}$/i.test(value);
+const asList = value => [].concat(value || []);
+
+// EventSource cannot send headers, so the stream also accepts the access
+// token as `?access_token=`
+const tokenFromQuery = (req, res, next) => {
+  if (!req.header('Authorization') && req.query.access_token) {
+    req.headers.authorization = `Bearer ${req.query.access_token}`;
+  }
+  next();
+};
+
+const writeEvent = (res, { id, type, data }) => {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${type}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+};
+
+// @route   GET /api/events?okr=<id>&team=<id>&org=true
+// @desc    Stream OKR and comment events as Server-Sent Events. Subscribe to any
+//          number of OKRs and teams, and/or the whole organization (the default).
+// @access  Private
+router.get('/', [
+  tokenFromQuery,
+  auth,
+  query('okr').optional().custom(value => asList(value).every(isMongoId)).withMessage('OKR must be a valid id'),
+  query('team').optional().custom(value => asList(value).every(isMongoId)).withMessage('Team must be a valid id'),
+  query('org').optional().isBoolean().withMessage('Org must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const okrIds = [...new Set(asList(req.query.okr))];
+    const teamIds = [...new Set(asList(req.query.team))];
+    const wantsOrg = req.query.org === 'true' || (okrIds.length === 0 && teamIds.length === 0);
+
+    const [okrs, teams] = await Promise.all([
+      OKR.find({ _id: { $in: okrIds }, isActive: true }),
+      Team.find({ _id: { $in: teamIds }, isActive: true }).select('organization')
+    ]);
+
+    if (okrs.length !== okrIds.length) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+    if (teams.length !== teamIds.length) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    for (const okr of okrs) {
+      if (!(await hasPermission(req, 'okr.read', okr))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+    for (const team of teams) {
+      if (!(await hasPermission(req, 'team.read', team))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+    }
+
+    const channels = [
+      ...(wantsOrg ? ['org'] : []),
+      ...okrIds.map(id => `okr:${id}`),
+      ...teamIds.map(id => `team:${id}`)
+    ];
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const client = addClient({
+      organization: req.user.organization,
+      user: req.user,
+      actor: await loadActor(req),
+      channels,
+      send: event => writeEvent(res, event)
+    });
+
+    writeEvent(res, { type: 'ready', data: { channels } });
+
+    // The stream lives only as long as the access token, its session and an
+    // active account, so a logout, revocation, expiry or deactivation cuts it
+    // off and the client re-authenticates. The user's scope is reloaded on
+    // every heartbeat, so team, role and visibility changes reach the stream.
+    const { exp } = jwt.decode(req.header('Authorization').replace('Bearer ', ''));
+
+    const end = (reason) => {
+      writeEvent(res, { type: 'end', data: { reason } });
+      res.end();
+    };
+
+    const heartbeat = setInterval(async () => {
+      try {
+        if (exp && Date.now() >= exp * 1000) {
+          return end('token_expired');
+        }
+
+        const session = await Session.findById(req.authSession._id);
+        if (!session || !session.isValid()) {
+          return end('session_ended');
+        }
+
+        const user = await User.findById(req.user._id);
+        if (!user || !user.isActive) {
+          return end('user_deactivated');
+        }
+        if (String(user.organization) !== String(req.user.organization)) {
+          return end('organization_changed');
+        }
+
+        client.setActor(await loadActorFor(user));
+
+        res.write(': ping\n\n');
+      } catch (error) {
+        console.error('Event stream heartbeat error:', error);
+      }
+    }, HEARTBEAT_INTERVAL);
+
+    res.on('close', () => {
+      clearInterval(heartbeat);
+      client.remove();
+    });
+  } catch (error) {
+    console.error('Event stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+module.exports = router;
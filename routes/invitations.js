@@ -0,0 +1,218 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Invitation = require('../models/Invitation');
+const User = require('../models/User');
+const Department = require('../models/Department');
+const Team = require('../models/Team');
+const { auth, requirePermission } = require('../middleware/auth');
+const { generateToken, hashToken } = require('../utils/tokens');
+const { runWithoutTenant } = require('../utils/tenantContext');
+const { sendMail } = require('../services/mailer');
+const mailTemplates = require('../services/mailer/templates');
+
+const router = express.Router();
+
+const INVITE_EXPIRE_DAYS = parseInt(process.env.INVITE_EXPIRE_DAYS, 10) || 7;
+
+const inviteExpiry = () => new Date(Date.now() + INVITE_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+// Email the invite link. A delivery failure is reported back instead of failing
+// the request, since the admin can still share the link by hand.
+const sendInvitation = async (invitation, token, req) => {
+  try {
+    await sendMail(mailTemplates.invitation({
+      invitation,
+      organization: req.user.organization,
+      invitedBy: req.user,
+      token
+    }));
+    return true;
+  } catch (error) {
+    console.error('Invitation email error:', error);
+    return false;
+  }
+};
+
+// @route   GET /api/invitations
+// @desc    Get invitations for user's organization
+// @access  Private (Admin only)
+router.get('/', auth, requirePermission('invitation.manage'), async (req, res) => {
+  try {
+    const filter = { organization: req.user.organization };
+    if (req.query.status) filter.status = req.query.status;
+
+    const invitations = await Invitation.find(filter)
+      .populate('department', 'name')
+      .populate('team', 'name')
+      .populate('invitedBy', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    console.error('Get invitations error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/invitations/lookup/:token
+// @desc    Get the public details of an invitation so registration can be prefilled
+// @access  Public
+router.get('/lookup/:token', async (req, res) => {
+  try {
+    const invitation = await Invitation.findOne({
+      tokenHash: hashToken(req.params.token),
+      status: 'pending'
+    }).populate('organization', 'name');
+
+    if (!invitation || invitation.isExpired) {
+      return res.status(404).json({ message: 'Invitation not found or expired' });
+    }
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      organization: invitation.organization,
+      expiresAt: invitation.expiresAt
+    });
+  } catch (error) {
+    console.error('Lookup invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invitations
+// @desc    Invite someone to the organization
+// @access  Private (Admin only)
+router.post('/', [
+  auth,
+  requirePermission('invitation.manage'),
+  body('email').isEmail().withMessage('Please enter a valid email'),
+  body('role').optional().isIn(['user', 'team_lead', 'admin']).withMessage('Invalid role'),
+  body('department').optional({ values: 'null' }).isMongoId().withMessage('Department must be a valid id'),
+  body('team').optional({ values: 'null' }).isMongoId().withMessage('Team must be a valid id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const email = req.body.email.toLowerCase();
+    const { role, department, team } = req.body;
+
+    // Emails are unique across the platform, not just within this organization
+    if (await runWithoutTenant(() => User.exists({ email }))) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+
+    const pending = await Invitation.findOne({
+      organization: req.user.organization,
+      email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    });
+    if (pending) {
+      return res.status(400).json({ message: 'This email already has a pending invitation' });
+    }
+
+    if (department && !(await Department.exists({ _id: department, organization: req.user.organization }))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+
+    if (team) {
+      const teamDoc = await Team.findOne({ _id: team, organization: req.user.organization });
+      if (!teamDoc) {
+        return res.status(400).json({ message: 'Team not found' });
+      }
+      if (department && teamDoc.department.toString() !== department) {
+        return res.status(400).json({ message: 'Team does not belong to the selected department' });
+      }
+    }
+
+    const { token, tokenHash } = generateToken();
+
+    const invitation = new Invitation({
+      email,
+      organization: req.user.organization,
+      role,
+      department,
+      team,
+      invitedBy: req.user._id,
+      tokenHash,
+      expiresAt: inviteExpiry()
+    });
+
+    await invitation.save();
+
+    const emailSent = await sendInvitation(invitation, token, req);
+
+    // The plain token is only ever returned here and on resend
+    res.status(201).json({ invitation, token, emailSent });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/invitations/:id/resend
+// @desc    Issue a fresh token for a pending invitation and extend its expiry
+// @access  Private (Admin only)
+router.post('/:id/resend', auth, requirePermission('invitation.manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation || invitation.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    const { token, tokenHash } = generateToken();
+
+    invitation.tokenHash = tokenHash;
+    invitation.expiresAt = inviteExpiry();
+    invitation.lastSentAt = new Date();
+    invitation.sendCount += 1;
+
+    await invitation.save();
+
+    const emailSent = await sendInvitation(invitation, token, req);
+
+    res.json({ invitation, token, emailSent });
+  } catch (error) {
+    console.error('Resend invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/invitations/:id
+// @desc    Revoke a pending invitation
+// @access  Private (Admin only)
+router.delete('/:id', auth, requirePermission('invitation.manage'), async (req, res) => {
+  try {
+    const invitation = await Invitation.findById(req.params.id);
+
+    if (!invitation || invitation.organization.toString() !== req.user.organization._id.toString()) {
+      return res.status(404).json({ message: 'Invitation not found' });
+    }
+
+    if (invitation.status !== 'pending') {
+      return res.status(400).json({ message: `Invitation has already been ${invitation.status}` });
+    }
+
+    invitation.status = 'revoked';
+    await invitation.save();
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { auth } = require('../middleware/auth');
+const { paginationValidators, parsePagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+const { NOTIFICATION_TYPES } = Notification;
+
+// @route   GET /api/notifications
+// @desc    Get the current user's notifications, newest first
+// @access  Private
+router.get('/', [
+  auth,
+  query('unread').optional().isBoolean().withMessage('Unread must be true or false'),
+  query('type').optional().isIn(NOTIFICATION_TYPES).withMessage('Invalid notification type'),
+  ...paginationValidators(['createdAt'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') filter.readAt = null;
+    if (req.query.unread === 'false') filter.readAt = { $ne: null };
+    if (req.query.type) filter.type = req.query.type;
+
+    const pagination = parsePagination(req, { defaultSort: { createdAt: -1 } });
+
+    const [notifications, total] = await Promise.all([
+      Notification.find(filter)
+        .populate('actor', 'firstName lastName')
+        .populate('okr', 'title status')
+        .sort(pagination.sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Notification.countDocuments(filter)
+    ]);
+
+    res.json({ notifications, pagination: paginationMeta(pagination, total) });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Get the number of unread notifications for the current user
+// @access  Private
+router.get('/unread-count', auth, async (req, res) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+
+    res.json({ count });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/notifications/preferences
+// @desc    Get which notification types the current user receives
+// @access  Private
+router.get('/preferences', auth, async (req, res) => {
+  try {
+    res.json(req.user.notificationPreferences);
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Turn notification types on or off for the current user
+// @access  Private
+router.put('/preferences', [
+  auth,
+  body().custom(value => {
+    const unknown = Object.keys(value || {}).filter(type => !NOTIFICATION_TYPES.includes(type));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown notification types: ${unknown.join(', ')}`);
+    }
+    return true;
+  }),
+  ...NOTIFICATION_TYPES.map(type => body(type).optional().isBoolean({ strict: true }).withMessage(`${type} must be true or false`))
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    NOTIFICATION_TYPES.forEach(type => {
+      if (req.body[type] !== undefined) {
+        user.notificationPreferences[type] = req.body[type];
+      }
+    });
+
+    await user.save();
+
+    res.json(user.notificationPreferences);
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/notifications/read-all
+// @desc    Mark all of the current user's notifications as read
+// @access  Private
+router.patch('/read-all', auth, async (req, res) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({ updated: result.modifiedCount });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH /api/notifications/:id/read
+// @desc    Mark a notification as read
+// @access  Private
+router.patch('/:id/read', auth, async (req, res) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    res.json(notification);
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
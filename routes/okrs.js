@@ -1,39 +1,712 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
+const multer = require('multer');
+const { body, param, query, validationResult } = require('express-validator');
 const OKR = require('../models/OKR');
-const { auth, authorize } = require('../middleware/auth');
+const CheckIn = require('../models/CheckIn');
+const Cycle = require('../models/Cycle');
+const Comment = require('../models/Comment');
+const OKRTemplate = require('../models/OKRTemplate');
+const TeamMembership = require('../models/TeamMembership');
+const { auth, loadActor, hasPermission, requirePermission } = require('../middleware/auth');
+const { can, visibleOkrFilter } = require('../policies');
+const {
+  validateParent,
+  buildAlignmentTree,
+  collectLineageIds,
+  findInTree
+} = require('../utils/okrAlignment');
+const { snapshot, recordAudit } = require('../services/audit');
+const { notifyOkrAssigned, notifyCommentAdded, notifyOkrTransitioned } = require('../services/notifications');
+const { populateComment, resolveMentions } = require('../services/comments');
+const { publishOkrEvent } = require('../services/realtime');
+const { runWithoutTenant } = require('../utils/tenantContext');
+const {
+  TRANSITIONS,
+  TRANSITION_NAMES,
+  needsApproval,
+  needsApprovalAfterReassign,
+  checkReassignment,
+  transitionPermission,
+  availableTransitions,
+  checkTransition,
+  applyTransition
+} = require('../utils/okrWorkflow');
+const { OKR_COLUMNS, buildOkrsFromRows, okrExportRows } = require('../services/okrSpreadsheet');
+const { FORMATS, detectFormat, readSheet, sendSheet } = require('../utils/spreadsheet');
+const {
+  sortValidator,
+  paginationValidators,
+  dateRangeValidators,
+  parsePagination,
+  applyDateRange,
+  paginationMeta,
+  sendPage
+} = require('../utils/pagination');
 
 const router = express.Router();
 
+const EXPORT_LIMIT = 10000;
+const IMPORT_ROW_LIMIT = 5000;
+
+// Accept a single spreadsheet upload in field `file`, kept in memory
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 5 * 1024 * 1024, files: 1 }
+}).single('file');
+
+const uploadSpreadsheet = (req, res, next) => {
+  upload(req, res, error => {
+    if (error) {
+      return res.status(400).json({ message: error.code === 'LIMIT_FILE_SIZE' ? 'File is too large (max 5 MB)' : error.message });
+    }
+    next();
+  });
+};
+
+// Numbers, numeric strings, booleans (for boolean key results) and null
+const isNumberLike = (value) => value === null || typeof value === 'boolean' ||
+  ((typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')) && Number.isFinite(Number(value)));
+
+// Validation shared by every route that accepts a full set of key results
+const keyResultValidators = [
+  body('keyResults').isArray({ min: 1 }).withMessage('At least one key result is required'),
+  body('keyResults.*.description').notEmpty().withMessage('Key result description is required'),
+  body('keyResults.*.metricType').optional().isIn(OKR.METRIC_TYPES).withMessage('Invalid key result metric type'),
+  body('keyResults.*.startValue').optional({ values: 'null' }).isFloat().withMessage('Start value must be a number'),
+  body('keyResults.*.targetValue').optional({ values: 'null' }).isFloat().withMessage('Target value must be a number'),
+  body('keyResults.*.currentValue').optional().custom(isNumberLike).withMessage('Current value must be a number'),
+  body('keyResults.*.progress').optional().isFloat({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100'),
+  body('keyResults.*.milestones').optional().isArray().withMessage('Milestones must be an array'),
+  body('keyResults.*.milestones.*.title').optional().notEmpty().withMessage('Milestone title is required'),
+  body('keyResults.*.weight').optional().isFloat({ min: 0 }).withMessage('Key result weight must be a non-negative number'),
+  body('keyResults.*.owner').optional({ values: 'null' }).isMongoId().withMessage('Key result owner must be a valid user id'),
+  body('keyResults').custom(keyResults => {
+    if (!Array.isArray(keyResults)) return true;
+    keyResults.forEach(kr => {
+      if (OKR.NUMERIC_METRIC_TYPES.includes(kr.metricType) && (kr.targetValue === undefined || kr.targetValue === null)) {
+        throw new Error(`Target value is required for ${kr.metricType} key results`);
+      }
+    });
+
+    const weightError = OKR.keyResultWeightError(keyResults);
+    if (weightError) throw new Error(weightError);
+    return true;
+  })
+];
+
+const OKR_PEOPLE = ['owners', 'contributors', 'watchers'];
+
+// Validation for the people an OKR is shared with, each an optional list of user ids
+const okrPeopleValidators = [
+  body('owners').optional().isArray().withMessage('Owners must be a list of user ids'),
+  body('owners.*').isMongoId().withMessage('Owner must be a valid user id'),
+  body('contributors').optional().isArray().withMessage('Contributors must be a list of user ids'),
+  body('contributors.*').isMongoId().withMessage('Contributor must be a valid user id'),
+  body('watchers').optional().isArray().withMessage('Watchers must be a list of user ids'),
+  body('watchers.*').isMongoId().withMessage('Watcher must be a valid user id')
+];
+
+// The people lists given in a request body, without duplicates
+const okrPeopleFrom = (requestBody) => OKR_PEOPLE.reduce((people, field) => {
+  if (Array.isArray(requestBody[field])) people[field] = [...new Set(requestBody[field])];
+  return people;
+}, {});
+
+// Apply a full key result list to an OKR. Key results sent with an _id update
+// the existing ones in place, so their check-ins and aligned children stay
+// attached; those without one are added and those left out are removed.
+// Returns an error message or null.
+const mergeKeyResults = (okr, keyResults) => {
+  const ids = keyResults.filter(kr => kr._id).map(kr => kr._id.toString());
+  if (new Set(ids).size !== ids.length) {
+    return 'Each key result can only be sent once';
+  }
+
+  const unknown = ids.find(id => !okr.keyResults.id(id));
+  if (unknown) {
+    return `Key result ${unknown} not found`;
+  }
+
+  okr.keyResults = keyResults.map(({ _id, ...fields }) => {
+    if (!_id) return fields;
+    const existing = okr.keyResults.id(_id);
+    existing.set(fields);
+    return existing;
+  });
+
+  return null;
+};
+
+// Check that a cycle can take new or updated OKRs. Returns an error message or null.
+const validateCycle = async (cycleId, organizationId) => {
+  if (!cycleId) return null;
+
+  const cycle = await Cycle.findById(cycleId).select('organization state isActive');
+  if (!cycle || !cycle.isActive || cycle.organization.toString() !== organizationId.toString()) {
+    return 'Cycle not found';
+  }
+
+  if (cycle.state === 'closed') {
+    return 'OKRs cannot be added to a closed cycle';
+  }
+
+  return null;
+};
+
+// Apply a progress update to a key result. Only progress changes: the value,
+// hand-entered progress on percentage key results, confidence and whether
+// milestones are done. Milestones are matched by id, or else by position.
+const applyProgressUpdate = (kr, update) => {
+  if (update.currentValue !== undefined) kr.currentValue = update.currentValue;
+  if (update.progress !== undefined && kr.metricType === 'percentage') kr.progress = update.progress;
+  if (update.confidence) kr.confidence = update.confidence;
+
+  (update.milestones || []).forEach((milestoneUpdate, index) => {
+    const milestone = milestoneUpdate._id ? kr.milestones.id(milestoneUpdate._id) : kr.milestones[index];
+    if (milestone && milestoneUpdate.isDone !== undefined) {
+      milestone.isDone = Boolean(milestoneUpdate.isDone);
+    }
+  });
+};
+
+// Whether every update in a progress request is for a key result the caller
+// may update on its own, e.g. as its owner
+const canUpdateKeyResults = async (req, okr, updates) => {
+  if (updates.length === 0) return false;
+
+  for (const update of updates) {
+    const keyResult = update._id && okr.keyResults.id(update._id);
+    if (!keyResult || !(await hasPermission(req, 'okr.keyResultProgress', { okr, keyResult }))) {
+      return false;
+    }
+  }
+  return true;
+};
+
+// Ids of the OKRs in `okrs` the caller can see
+const visibleOkrIds = async (req, okrs) => {
+  const actor = await loadActor(req);
+  return new Set(okrs.filter(okr => can(actor, 'okr.read', okr)).map(okr => okr._id.toString()));
+};
+
+// OKRs in a closed cycle keep their final scores and can no longer change
+const isInClosedCycle = async (okr) => {
+  if (!okr.cycle) return false;
+  return Boolean(await Cycle.exists({ _id: okr.cycle, state: 'closed' }));
+};
+
+const OKR_SORT_FIELDS = ['createdAt', 'updatedAt', 'dueDate', 'startDate', 'title', 'status', 'priority'];
+
+// How the caller can be involved in an OKR, for `involvement` filters:
+// owning it, contributing to it (or one of its key results) or watching it
+const INVOLVEMENTS = ['owner', 'contributor', 'watcher'];
+
+const involvementFilter = (involvement, userId) => {
+  switch (involvement) {
+    case 'owner':
+      return { $or: [{ 'assignedTo.type': 'user', 'assignedTo.user': userId }, { owners: userId }] };
+    case 'contributor':
+      return { $or: [{ contributors: userId }, { 'keyResults.owner': userId }] };
+    default:
+      return { watchers: userId };
+  }
+};
+
+// Validation for the filters accepted by OKR listings
+const okrFilterValidators = [
+  query('status').optional().isIn(OKR.STATUSES).withMessage(`Status must be one of ${OKR.STATUSES.join(', ')}`),
+  query('priority').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid priority'),
+  query('assignedTo').optional().isIn(['me', 'team']).withMessage('Assigned to must be me or team'),
+  query('cycle').optional().custom(value => value === 'none' || /^[a-f\d]{24}$/i.test(value)).withMessage('Cycle must be a valid id or none'),
+  query('q').optional().isString().trim().notEmpty().withMessage('Search text cannot be empty'),
+  query('overdue').optional().isBoolean().withMessage('Overdue must be true or false'),
+  query('involvement').optional().isIn(INVOLVEMENTS).withMessage(`Involvement must be one of ${INVOLVEMENTS.join(', ')}`),
+  ...dateRangeValidators('due'),
+  ...dateRangeValidators('created')
+];
+
+// Build the Mongo filter for an OKR listing from the request's query params.
+// Only OKRs visible to the caller are listed; `assignedTo=team` covers every
+// team the caller is on.
+const buildOkrFilter = async (req) => {
+  const { status, assignedTo, involvement, priority, cycle, q, overdue } = req.query;
+  const filter = { organization: req.user.organization, isActive: true };
+  const conditions = [visibleOkrFilter(await loadActor(req))];
+
+  if (status) filter.status = status;
+  if (priority) filter.priority = priority;
+  if (cycle === 'none') {
+    filter.cycle = null;
+  } else if (cycle) {
+    filter.cycle = cycle;
+  }
+  if (assignedTo === 'me') {
+    filter['assignedTo.user'] = req.user._id;
+  } else if (assignedTo === 'team') {
+    filter['assignedTo.team'] = { $in: await TeamMembership.teamIdsOf(req.user._id) };
+  }
+  if (involvement) conditions.push(involvementFilter(involvement, req.user._id));
+  if (q) filter.$text = { $search: q };
+  if (overdue === 'true') filter.overdueAt = { $ne: null };
+  if (overdue === 'false') filter.overdueAt = null;
+
+  applyDateRange(filter, req, 'due', 'dueDate');
+  applyDateRange(filter, req, 'created', 'createdAt');
+
+  filter.$and = conditions;
+  return filter;
+};
+
+const OKR_FILTER_PARAMS = ['status', 'assignedTo', 'involvement', 'priority', 'cycle', 'q', 'overdue', 'dueFrom', 'dueTo', 'createdFrom', 'createdTo'];
+const BULK_LIMIT = 500;
+
+// Whether two assignments point at the same user or team
+const sameAssignee = (current, next) => {
+  if (!current || !next || current.type !== next.type) return false;
+  const key = next.type === 'user' ? 'user' : 'team';
+  return String((current[key] && current[key]._id) || current[key]) === String(next[key]);
+};
+
+// Changes that can be applied to many OKRs at once. Each one names the
+// permission its single-item route checks (or a function of the OKR and body
+// returning it), plus the audit action and realtime event it records. `check`
+// returns a reason the user cannot change the OKR, and `apply` changes it in
+// place, returning false when there is nothing to change.
+const BULK_OPERATIONS = {
+  transition: {
+    permission: (okr, { transition }) => transitionPermission(transition, okr),
+    auditAction: 'transition',
+    event: 'transitioned',
+    validators: [
+      body('transition').isIn(TRANSITION_NAMES).withMessage(`Transition must be one of ${TRANSITION_NAMES.join(', ')}`),
+      body('reason').optional().isString().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+    ],
+    check: (okr, { transition, reason }) => checkTransition(okr, transition, { reason }),
+    apply: (okr, { transition, reason }, user) => {
+      applyTransition(okr, transition, { by: user._id, reason });
+      return true;
+    }
+  },
+  reassign: {
+    permission: 'okr.update',
+    validators: [
+      body('assignedTo.type').isIn(['user', 'team']).withMessage('Assignment type must be user or team'),
+      body('assignedTo.user').if(body('assignedTo.type').equals('user')).isMongoId().withMessage('User must be a valid id'),
+      body('assignedTo.team').if(body('assignedTo.type').equals('team')).isMongoId().withMessage('Team must be a valid id')
+    ],
+    check: (okr, { assignedTo }, user) => (sameAssignee(okr.assignedTo, assignedTo) ? null : checkReassignment(user, okr, assignedTo)),
+    apply: (okr, { assignedTo }, user) => {
+      if (sameAssignee(okr.assignedTo, assignedTo)) return false;
+      okr.requiresApproval = needsApprovalAfterReassign(user, okr, assignedTo);
+      okr.assignedTo = assignedTo.type === 'user' ? { type: 'user', user: assignedTo.user } : { type: 'team', team: assignedTo.team };
+      return true;
+    }
+  },
+  set_priority: {
+    permission: 'okr.update',
+    validators: [body('priority').isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid priority')],
+    apply: (okr, { priority }) => {
+      if (okr.priority === priority) return false;
+      okr.priority = priority;
+      return true;
+    }
+  },
+  shift_due_date: {
+    permission: 'okr.update',
+    validators: [
+      body('days')
+        .isInt({ min: -3650, max: 3650 }).withMessage('Days must be a whole number')
+        .custom(days => Number(days) !== 0).withMessage('Days cannot be zero')
+        .toInt()
+    ],
+    apply: (okr, { days }) => {
+      okr.dueDate = new Date(okr.dueDate.getTime() + days * 24 * 60 * 60 * 1000);
+      return true;
+    }
+  },
+  archive: {
+    permission: 'okr.delete',
+    auditAction: 'delete',
+    event: 'deleted',
+    validators: [],
+    apply: (okr) => {
+      okr.isActive = false;
+      return true;
+    }
+  },
+  restore: {
+    permission: 'okr.delete',
+    auditAction: 'restore',
+    event: 'restored',
+    validators: [],
+    apply: (okr) => {
+      okr.isActive = true;
+      return true;
+    }
+  }
+};
+
+// Run only the validators of the requested bulk operation
+const bulkOperationValidators = async (req, res, next) => {
+  try {
+    const operation = BULK_OPERATIONS[req.body.operation];
+    if (operation) {
+      await Promise.all(operation.validators.map(validator => validator.run(req)));
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 // @route   GET /api/okrs
-// @desc    Get all OKRs for user's organization
+// @desc    Get a page of OKRs for user's organization, with filters, sorting and
+//          search. Answers `{ okrs, pagination }` when `page` or `limit` is
+//          given, otherwise a bare array of every match as before paging.
+// @access  Private
+router.get('/', [
+  auth,
+  ...okrFilterValidators,
+  ...paginationValidators(OKR_SORT_FIELDS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = await buildOkrFilter(req);
+
+    // Best matches first when searching, unless the caller picked an order
+    const pagination = parsePagination(req, {
+      defaultSort: req.query.q ? { score: { $meta: 'textScore' } } : { createdAt: -1 },
+      unpaged: true
+    });
+
+    const [okrs, total] = await Promise.all([
+      OKR.find(filter)
+        .populate('assignedTo.user', 'firstName lastName email')
+        .populate('assignedTo.team', 'name')
+        .populate('assignedBy', 'firstName lastName')
+        .populate('organization', 'name')
+        .populate('department', 'name')
+        .populate('team', 'name')
+        .populate('cycle', 'name state')
+        .sort(pagination.sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      OKR.countDocuments(filter)
+    ]);
+
+    sendPage(req, res, 'okrs', okrs, pagination, total);
+  } catch (error) {
+    console.error('Get OKRs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/okrs/export?format=csv|xlsx
+// @desc    Download the OKRs matching the listing filters, one row per key result
+// @access  Private
+router.get('/export', [
+  auth,
+  query('format').optional().isIn(FORMATS).withMessage(`Format must be one of ${FORMATS.join(', ')}`),
+  ...okrFilterValidators,
+  sortValidator(OKR_SORT_FIELDS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sort } = parsePagination(req, { defaultSort: { createdAt: -1 } });
+
+    const okrs = await OKR.find(await buildOkrFilter(req))
+      .populate('assignedTo.user', 'email')
+      .populate('assignedTo.team', 'name')
+      .populate('cycle', 'name')
+      .sort(sort)
+      .limit(EXPORT_LIMIT);
+
+    await sendSheet(res, {
+      format: req.query.format || 'csv',
+      filename: `okrs-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'OKRs',
+      columns: OKR_COLUMNS,
+      rows: okrExportRows(okrs)
+    });
+  } catch (error) {
+    console.error('Export OKRs error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
+// @route   POST /api/okrs/import?dryRun=true|false
+// @desc    Import OKRs from a CSV or XLSX upload (field `file`). By default only
+//          validates and reports problems per row; pass dryRun=false to create them.
+// @access  Private
+router.post('/import', [
+  auth,
+  requirePermission('okr.create'),
+  uploadSpreadsheet,
+  query('dryRun').optional().isBoolean().withMessage('Dry run must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    if (!req.file) {
+      return res.status(400).json({ message: 'A CSV or XLSX file is required' });
+    }
+
+    const format = detectFormat(req.file);
+    if (!format) {
+      return res.status(400).json({ message: 'Only CSV and XLSX files can be imported' });
+    }
+
+    let rows;
+    try {
+      rows = await readSheet(req.file.buffer, format);
+    } catch (error) {
+      return res.status(400).json({ message: 'The file could not be read as a spreadsheet' });
+    }
+
+    if (rows.length === 0) {
+      return res.status(400).json({ message: 'The file has no rows to import' });
+    }
+    if (rows.length > IMPORT_ROW_LIMIT) {
+      return res.status(400).json({ message: `Imports are limited to ${IMPORT_ROW_LIMIT} rows` });
+    }
+
+    const dryRun = req.query.dryRun !== 'false';
+    const { okrs, errors: rowErrors } = await buildOkrsFromRows(rows, req.user);
+
+    const report = {
+      dryRun,
+      valid: rowErrors.length === 0,
+      rows: rows.length,
+      okrs: okrs.length,
+      errors: rowErrors,
+      preview: okrs.map(({ rows: okrRows, okr }) => ({
+        rows: okrRows,
+        title: okr.title,
+        assignedTo: okr.assignedTo,
+        status: okr.status,
+        dueDate: okr.dueDate,
+        keyResults: okr.keyResults.length
+      }))
+    };
+
+    // Nothing is created unless every row is valid
+    if (dryRun || !report.valid) {
+      return res.status(report.valid ? 200 : 400).json(report);
+    }
+
+    const created = await OKR.insertMany(okrs.map(({ okr }) => okr));
+
+    for (const okr of created) {
+      await recordAudit({
+        req,
+        entityType: 'OKR',
+        entityId: okr._id,
+        organization: okr.organization,
+        action: 'create',
+        after: snapshot('OKR', okr),
+        metadata: { source: 'import' }
+      });
+      await notifyOkrAssigned({ okr, actor: req.user });
+      publishOkrEvent('created', okr, { actor: req.user });
+    }
+
+    res.status(201).json({ ...report, created: created.map(okr => okr._id) });
+  } catch (error) {
+    console.error('Import OKRs error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/okrs/bulk
+// @desc    Apply one operation to many OKRs: transition, reassign, set_priority,
+//          shift_due_date, archive or restore. Takes OKR `ids` in the body, or
+//          else the listing filters in the query string. Every OKR is checked
+//          and changed on its own, and gets its own result.
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.post('/bulk', [
+  auth,
+  body('operation').isIn(Object.keys(BULK_OPERATIONS)).withMessage(`Operation must be one of ${Object.keys(BULK_OPERATIONS).join(', ')}`),
+  body('ids').optional().isArray({ min: 1, max: BULK_LIMIT }).withMessage(`Ids must be a list of 1 to ${BULK_LIMIT} OKR ids`),
+  body('ids.*').isMongoId().withMessage('Each id must be a valid OKR id'),
+  ...okrFilterValidators,
+  bulkOperationValidators
+], async (req, res) => {
   try {
-    const { status, assignedTo, priority } = req.query;
-    const filter = { organization: req.user.organization, isActive: true };
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { operation, ids } = req.body;
+    const {
+      permission,
+      check = () => null,
+      apply,
+      auditAction = 'update',
+      event = 'updated'
+    } = BULK_OPERATIONS[operation];
+
+    // A missing filter would otherwise mean every OKR in the organization
+    if (!ids && !OKR_FILTER_PARAMS.some(param => req.query[param] !== undefined)) {
+      return res.status(400).json({ message: 'Pass OKR ids or at least one filter' });
+    }
+
+    // OKRs the caller cannot see are reported as not found
+    const filter = ids
+      ? { _id: { $in: [...new Set(ids)] }, ...visibleOkrFilter(await loadActor(req)) }
+      : await buildOkrFilter(req);
+    // Restoring works on archived OKRs, everything else on live ones
+    filter.isActive = operation !== 'restore';
+
+    const okrs = await OKR.find(filter).limit(BULK_LIMIT + 1);
+    if (okrs.length > BULK_LIMIT) {
+      return res.status(400).json({ message: `Bulk operations are limited to ${BULK_LIMIT} OKRs; narrow the filter` });
+    }
+
+    const found = new Set(okrs.map(okr => okr._id.toString()));
+    const results = ids
+      ? [...new Set(ids)].filter(id => !found.has(id)).map(id => ({ id, success: false, code: 404, message: 'OKR not found' }))
+      : [];
+
+    for (const okr of okrs) {
+      const result = { id: okr._id.toString(), title: okr.title };
+      results.push(result);
+
+      try {
+        const itemPermission = typeof permission === 'function' ? permission(okr, req.body) : permission;
+        if (!(await hasPermission(req, itemPermission, okr))) {
+          Object.assign(result, { success: false, code: 403, message: 'Access denied' });
+          continue;
+        }
+
+        // Archiving and restoring are allowed in closed cycles, like deleting
+        if (itemPermission !== 'okr.delete' && await isInClosedCycle(okr)) {
+          Object.assign(result, { success: false, code: 400, message: 'OKRs in a closed cycle cannot be changed' });
+          continue;
+        }
+
+        const problem = check(okr, req.body, req.user);
+        if (problem) {
+          Object.assign(result, { success: false, code: 400, message: problem });
+          continue;
+        }
+
+        const before = snapshot('OKR', okr);
+
+        if (!apply(okr, req.body, req.user)) {
+          Object.assign(result, { success: true, changed: false });
+          continue;
+        }
+
+        await okr.save();
+
+        const after = snapshot('OKR', okr);
+
+        await recordAudit({
+          req,
+          entityType: 'OKR',
+          entityId: okr._id,
+          organization: okr.organization,
+          action: auditAction,
+          before,
+          after,
+          metadata: operation === 'transition'
+            ? { source: 'bulk', operation, transition: req.body.transition, reason: req.body.reason }
+            : { source: 'bulk', operation }
+        });
+
+        if (JSON.stringify(before.assignedTo) !== JSON.stringify(after.assignedTo)) {
+          await notifyOkrAssigned({ okr, actor: req.user, previous: before });
+        }
+        if (before.status !== okr.status) {
+          await notifyOkrTransitioned({ okr, actor: req.user, transition: req.body.transition, previousStatus: before.status });
+        }
+
+        publishOkrEvent(event, okr, { actor: req.user });
+
+        Object.assign(result, { success: true, changed: true });
+      } catch (error) {
+        if (error.name !== 'ValidationError') {
+          console.error('Bulk OKR item error:', error);
+        }
+        Object.assign(result, error.name === 'ValidationError'
+          ? { success: false, code: 400, message: error.message }
+          : { success: false, code: 500, message: 'Server error' });
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    res.json({
+      operation,
+      matched: okrs.length,
+      succeeded,
+      failed: results.length - succeeded,
+      results
+    });
+  } catch (error) {
+    console.error('Bulk OKR error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
 
-    if (status) filter.status = status;
-    if (priority) filter.priority = priority;
-    if (assignedTo === 'me') {
-      filter['assignedTo.user'] = req.user._id;
-    } else if (assignedTo === 'team' && req.user.team) {
-      filter['assignedTo.team'] = req.user.team;
+// @route   GET /api/okrs/alignment
+// @desc    Get the OKR alignment tree for the organization, a department or a
+//          team. OKRs the caller cannot see are left out; those aligned under
+//          them take their place. Each node has `rolledUpProgress`, which
+//          follows its `progressSource` over the OKRs the caller can see;
+//          `overallProgress` stays the key result progress shown everywhere
+//          else.
+// @access  Private
+router.get('/alignment', [
+  auth,
+  query('scope').optional().isIn(['organization', 'department', 'team']).withMessage('Scope must be organization, department or team'),
+  query('id').if(query('scope').isIn(['department', 'team'])).isMongoId().withMessage('Valid department or team id is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const okrs = await OKR.find(filter)
+    const scope = req.query.scope || 'organization';
+
+    const okrs = await OKR.find({ organization: req.user.organization, isActive: true })
       .populate('assignedTo.user', 'firstName lastName email')
       .populate('assignedTo.team', 'name')
-      .populate('assignedBy', 'firstName lastName')
-      .populate('organization', 'name')
       .populate('department', 'name')
       .populate('team', 'name')
-      .populate('comments.user', 'firstName lastName')
-      .sort({ createdAt: -1 });
+      .sort({ createdAt: 1 });
 
-    res.json(okrs);
+    let selected = okrs;
+    if (scope === 'department') {
+      selected = okrs.filter(okr => okr.department && okr.department._id.toString() === req.query.id);
+    } else if (scope === 'team') {
+      selected = okrs.filter(okr =>
+        (okr.team && okr.team._id.toString() === req.query.id) ||
+        (okr.assignedTo.team && okr.assignedTo.team._id.toString() === req.query.id)
+      );
+    }
+
+    res.json(buildAlignmentTree(okrs, {
+      includedIds: scope === 'organization' ? null : collectLineageIds(okrs, selected),
+      visibleIds: await visibleOkrIds(req, okrs)
+    }));
   } catch (error) {
-    console.error('Get OKRs error:', error);
+    console.error('Get OKR alignment error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
@@ -47,17 +720,17 @@ router.get('/:id', auth, async (req, res) => {
       .populate('assignedTo.user', 'firstName lastName email')
       .populate('assignedTo.team', 'name')
       .populate('assignedBy', 'firstName lastName')
+      .populate('owners contributors watchers', 'firstName lastName email')
       .populate('organization', 'name')
       .populate('department', 'name')
-      .populate('team', 'name')
-      .populate('comments.user', 'firstName lastName');
+      .populate('team', 'name');
 
     if (!okr) {
       return res.status(404).json({ message: 'OKR not found' });
     }
 
     // Check if user has access to this OKR
-    if (okr.organization.toString() !== req.user.organization.toString()) {
+    if (!(await hasPermission(req, 'okr.read', okr))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -73,12 +746,18 @@ router.get('/:id', auth, async (req, res) => {
 // @access  Private
 router.post('/', [
   auth,
+  requirePermission('okr.create'),
   body('title').notEmpty().withMessage('Title is required'),
   body('objective').notEmpty().withMessage('Objective is required'),
-  body('keyResults').isArray({ min: 1 }).withMessage('At least one key result is required'),
-  body('keyResults.*.description').notEmpty().withMessage('Key result description is required'),
+  ...keyResultValidators,
   body('assignedTo.type').isIn(['user', 'team']).withMessage('Assignment type must be user or team'),
-  body('dueDate').isISO8601().withMessage('Valid due date is required')
+  ...okrPeopleValidators,
+  body('visibility').optional().isIn(OKR.VISIBILITIES).withMessage(`Visibility must be one of ${OKR.VISIBILITIES.join(', ')}`),
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Parent must be a valid OKR id'),
+  body('parentKeyResult').optional({ nullable: true }).isMongoId().withMessage('Parent key result must be a valid id'),
+  body('progressSource').optional().isIn(['key_results', 'children']).withMessage('Progress source must be key_results or children'),
+  body('cycle').optional({ values: 'null' }).isMongoId().withMessage('Cycle must be a valid id')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -92,39 +771,201 @@ router.post('/', [
       keyResults,
       assignedTo,
       priority,
-      dueDate
+      dueDate,
+      parent,
+      parentKeyResult,
+      progressSource,
+      cycle
     } = req.body;
 
+    const cycleError = await validateCycle(cycle, req.user.organization._id);
+    if (cycleError) {
+      return res.status(400).json({ message: cycleError });
+    }
+
+    const parentError = await validateParent({
+      parentId: parent,
+      parentKeyResultId: parentKeyResult,
+      organizationId: req.user.organization._id,
+      visibleFilter: visibleOkrFilter(await loadActor(req))
+    });
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
     const okr = new OKR({
       title,
       objective,
       keyResults,
       assignedTo,
+      ...okrPeopleFrom(req.body),
+      visibility: req.body.visibility,
       assignedBy: req.user._id,
       organization: req.user.organization,
       department: req.user.department,
       team: req.user.team,
       priority: priority || 'medium',
-      dueDate: new Date(dueDate)
+      dueDate: new Date(dueDate),
+      parent: parent || null,
+      parentKeyResult: parentKeyResult || null,
+      progressSource,
+      cycle: cycle || null
     });
+    okr.requiresApproval = needsApproval(req.user, okr);
 
     await okr.save();
 
+    await recordAudit({
+      req,
+      entityType: 'OKR',
+      entityId: okr._id,
+      organization: okr.organization,
+      action: 'create',
+      after: snapshot('OKR', okr)
+    });
+
+    await notifyOkrAssigned({ okr, actor: req.user });
+
     const populatedOkr = await OKR.findById(okr._id)
       .populate('assignedTo.user', 'firstName lastName email')
       .populate('assignedTo.team', 'name')
       .populate('assignedBy', 'firstName lastName')
+      .populate('owners contributors watchers', 'firstName lastName email')
       .populate('organization', 'name')
       .populate('department', 'name')
       .populate('team', 'name');
 
+    publishOkrEvent('created', okr, { actor: req.user, okr: populatedOkr });
+
     res.status(201).json(populatedOkr);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Create OKR error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/okrs/from-template/:templateId
+// @desc    Create a new OKR from a template, with its own assignee, people and
+//          dates. Title, objective and priority can be overridden too.
+// @access  Private
+router.post('/from-template/:templateId', [
+  auth,
+  requirePermission('okr.create'),
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('objective').optional().trim().notEmpty().withMessage('Objective cannot be empty'),
+  body('assignedTo.type').isIn(['user', 'team']).withMessage('Assignment type must be user or team'),
+  ...okrPeopleValidators,
+  body('visibility').optional().isIn(OKR.VISIBILITIES).withMessage(`Visibility must be one of ${OKR.VISIBILITIES.join(', ')}`),
+  body('startDate').optional().isISO8601().withMessage('Start date must be a valid date'),
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('priority').optional().isIn(['low', 'medium', 'high', 'critical']).withMessage('Invalid priority'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Parent must be a valid OKR id'),
+  body('parentKeyResult').optional({ nullable: true }).isMongoId().withMessage('Parent key result must be a valid id'),
+  body('cycle').optional({ values: 'null' }).isMongoId().withMessage('Cycle must be a valid id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await OKRTemplate.findById(req.params.templateId);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!(await hasPermission(req, 'template.read', template))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const {
+      title,
+      objective,
+      assignedTo,
+      priority,
+      startDate,
+      dueDate,
+      parent,
+      parentKeyResult,
+      cycle
+    } = req.body;
+
+    const cycleError = await validateCycle(cycle, req.user.organization._id);
+    if (cycleError) {
+      return res.status(400).json({ message: cycleError });
+    }
+
+    const parentError = await validateParent({
+      parentId: parent,
+      parentKeyResultId: parentKeyResult,
+      organizationId: req.user.organization._id,
+      visibleFilter: visibleOkrFilter(await loadActor(req))
+    });
+    if (parentError) {
+      return res.status(400).json({ message: parentError });
+    }
+
+    const okr = new OKR({
+      title: title || template.title,
+      objective: objective || template.objective,
+      keyResults: template.toKeyResults(),
+      assignedTo,
+      ...okrPeopleFrom(req.body),
+      visibility: req.body.visibility,
+      assignedBy: req.user._id,
+      organization: req.user.organization,
+      department: req.user.department,
+      team: req.user.team,
+      priority: priority || 'medium',
+      ...(startDate && { startDate: new Date(startDate) }),
+      dueDate: new Date(dueDate),
+      parent: parent || null,
+      parentKeyResult: parentKeyResult || null,
+      cycle: cycle || null
+    });
+    okr.requiresApproval = needsApproval(req.user, okr);
+
+    await okr.save();
+
+    // Platform-wide templates are counted across every organization
+    await runWithoutTenant(() => OKRTemplate.updateOne({ _id: template._id }, { $inc: { usageCount: 1 } }));
+
+    await recordAudit({
+      req,
+      entityType: 'OKR',
+      entityId: okr._id,
+      organization: okr.organization,
+      action: 'create',
+      after: snapshot('OKR', okr),
+      metadata: { source: 'template', template: template._id }
+    });
+
+    await notifyOkrAssigned({ okr, actor: req.user });
+
+    const populatedOkr = await OKR.findById(okr._id)
+      .populate('assignedTo.user', 'firstName lastName email')
+      .populate('assignedTo.team', 'name')
+      .populate('assignedBy', 'firstName lastName')
+      .populate('owners contributors watchers', 'firstName lastName email')
+      .populate('organization', 'name')
+      .populate('department', 'name')
+      .populate('team', 'name');
+
+    publishOkrEvent('created', okr, { actor: req.user, okr: populatedOkr });
+
+    res.status(201).json(populatedOkr);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create OKR from template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PUT /api/okrs/:id
 // @desc    Update OKR
 // @access  Private
@@ -132,9 +973,15 @@ router.put('/:id', [
   auth,
   body('title').notEmpty().withMessage('Title is required'),
   body('objective').notEmpty().withMessage('Objective is required'),
-  body('keyResults').isArray({ min: 1 }).withMessage('At least one key result is required'),
-  body('keyResults.*.description').notEmpty().withMessage('Key result description is required'),
-  body('dueDate').isISO8601().withMessage('Valid due date is required')
+  ...keyResultValidators,
+  body('keyResults.*._id').optional().isMongoId().withMessage('Key result id must be valid'),
+  ...okrPeopleValidators,
+  body('visibility').optional().isIn(OKR.VISIBILITIES).withMessage(`Visibility must be one of ${OKR.VISIBILITIES.join(', ')}`),
+  body('dueDate').isISO8601().withMessage('Valid due date is required'),
+  body('parent').optional({ nullable: true }).isMongoId().withMessage('Parent must be a valid OKR id'),
+  body('parentKeyResult').optional({ nullable: true }).isMongoId().withMessage('Parent key result must be a valid id'),
+  body('progressSource').optional().isIn(['key_results', 'children']).withMessage('Progress source must be key_results or children'),
+  body('cycle').optional({ values: 'null' }).isMongoId().withMessage('Cycle must be a valid id')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -148,14 +995,20 @@ router.put('/:id', [
     }
 
     // Check if user has permission to update
-    const canUpdate = req.user.role === 'admin' || 
-                     okr.assignedBy.toString() === req.user._id.toString() ||
-                     (okr.assignedTo.type === 'user' && okr.assignedTo.user.toString() === req.user._id.toString());
-
-    if (!canUpdate) {
+    if (!(await hasPermission(req, 'okr.update', okr))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    if (await isInClosedCycle(okr)) {
+      return res.status(400).json({ message: 'OKRs in a closed cycle cannot be changed' });
+    }
+
+    if (req.body.status && req.body.status !== okr.status) {
+      return res.status(400).json({ message: 'Change status with POST /api/okrs/:id/transitions/:transition' });
+    }
+
+    const before = snapshot('OKR', okr);
+
     const {
       title,
       objective,
@@ -163,47 +1016,264 @@ router.put('/:id', [
       assignedTo,
       priority,
       dueDate,
-      status
+      parent,
+      parentKeyResult,
+      progressSource,
+      cycle
     } = req.body;
 
+    if (cycle !== undefined) {
+      const cycleError = await validateCycle(cycle, okr.organization);
+      if (cycleError) {
+        return res.status(400).json({ message: cycleError });
+      }
+      okr.cycle = cycle || null;
+    }
+
+    if (parent !== undefined || parentKeyResult !== undefined) {
+      const parentId = parent !== undefined ? parent : okr.parent;
+      const parentKeyResultId = parentKeyResult !== undefined ? parentKeyResult : okr.parentKeyResult;
+
+      // An OKR can stay under a parent the editor cannot see, but not move there
+      const parentError = await validateParent({
+        okrId: okr._id,
+        parentId,
+        parentKeyResultId,
+        organizationId: okr.organization,
+        visibleFilter: String(parentId) === String(okr.parent) ? null : visibleOkrFilter(await loadActor(req))
+      });
+      if (parentError) {
+        return res.status(400).json({ message: parentError });
+      }
+
+      okr.parent = parentId || null;
+      okr.parentKeyResult = parentId ? parentKeyResultId || null : null;
+    }
+
     okr.title = title;
     okr.objective = objective;
-    okr.keyResults = keyResults;
+    const keyResultError = mergeKeyResults(okr, keyResults);
+    if (keyResultError) {
+      return res.status(400).json({ message: keyResultError });
+    }
     okr.priority = priority || okr.priority;
     okr.dueDate = new Date(dueDate);
     
-    if (assignedTo) okr.assignedTo = assignedTo;
-    if (status) {
-      okr.status = status;
-      if (status === 'completed') {
-        okr.completedDate = new Date();
+    // Handing an OKR to someone else can change whether it needs approval
+    if (assignedTo && !sameAssignee(okr.assignedTo, assignedTo)) {
+      const reassignError = checkReassignment(req.user, okr, assignedTo);
+      if (reassignError) {
+        return res.status(400).json({ message: reassignError });
       }
+      okr.requiresApproval = needsApprovalAfterReassign(req.user, okr, assignedTo);
+      okr.assignedTo = assignedTo;
     }
+    okr.set(okrPeopleFrom(req.body));
+    if (req.body.visibility) okr.visibility = req.body.visibility;
+    if (progressSource) okr.progressSource = progressSource;
 
     await okr.save();
 
+    const after = snapshot('OKR', okr);
+
+    await recordAudit({
+      req,
+      entityType: 'OKR',
+      entityId: okr._id,
+      organization: okr.organization,
+      action: 'update',
+      before,
+      after
+    });
+
+    // Only people newly assigned or added are told
+    await notifyOkrAssigned({ okr, actor: req.user, previous: before });
+
     const updatedOkr = await OKR.findById(okr._id)
       .populate('assignedTo.user', 'firstName lastName email')
       .populate('assignedTo.team', 'name')
       .populate('assignedBy', 'firstName lastName')
+      .populate('owners contributors watchers', 'firstName lastName email')
       .populate('organization', 'name')
       .populate('department', 'name')
-      .populate('team', 'name')
-      .populate('comments.user', 'firstName lastName');
+      .populate('team', 'name');
+
+    publishOkrEvent('updated', okr, { actor: req.user, okr: updatedOkr });
 
     res.json(updatedOkr);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Update OKR error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/okrs/:id/transitions
+// @desc    Get an OKR's status history and the transitions the current user can make
+// @access  Private
+router.get('/:id/transitions', auth, async (req, res) => {
+  try {
+    const okr = await OKR.findById(req.params.id)
+      .populate('statusHistory.by', 'firstName lastName');
+
+    if (!okr || !okr.isActive) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, 'okr.read', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const available = [];
+    for (const name of availableTransitions(okr)) {
+      if (await hasPermission(req, transitionPermission(name, okr), okr)) {
+        const { to, requiresReason = false } = TRANSITIONS[name];
+        available.push({ transition: name, to, requiresReason });
+      }
+    }
+
+    res.json({
+      status: okr.status,
+      requiresApproval: okr.requiresApproval,
+      available,
+      history: okr.statusHistory
+    });
+  } catch (error) {
+    console.error('Get OKR transitions error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/okrs/:id/transitions/:transition
+// @desc    Move an OKR through its lifecycle: submit, withdraw, approve, reject,
+//          activate, complete, cancel, reopen or reinstate
+// @access  Private (Approve and reject: the assigner, team lead, department head or an admin)
+router.post('/:id/transitions/:transition', [
+  auth,
+  param('transition').isIn(TRANSITION_NAMES).withMessage(`Transition must be one of ${TRANSITION_NAMES.join(', ')}`),
+  body('reason').optional().isString().trim().isLength({ max: 1000 }).withMessage('Reason must be at most 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { transition } = req.params;
+    const { reason } = req.body;
+
+    const okr = await OKR.findById(req.params.id);
+    if (!okr || !okr.isActive) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, transitionPermission(transition, okr), okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (await isInClosedCycle(okr)) {
+      return res.status(400).json({ message: 'OKRs in a closed cycle cannot be changed' });
+    }
+
+    const transitionError = checkTransition(okr, transition, { reason });
+    if (transitionError) {
+      return res.status(400).json({ message: transitionError });
+    }
+
+    const before = snapshot('OKR', okr);
+    const previousStatus = okr.status;
+
+    applyTransition(okr, transition, { by: req.user._id, reason });
+    await okr.save();
+
+    await recordAudit({
+      req,
+      entityType: 'OKR',
+      entityId: okr._id,
+      organization: okr.organization,
+      action: 'transition',
+      before,
+      after: snapshot('OKR', okr),
+      metadata: { transition, reason }
+    });
+
+    await notifyOkrTransitioned({ okr, actor: req.user, transition, previousStatus });
+
+    publishOkrEvent('transitioned', okr, {
+      actor: req.user,
+      transition,
+      from: previousStatus,
+      to: okr.status
+    });
+
+    res.json(okr);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('OKR transition error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/okrs/:id/alignment
+// @desc    Get an OKR's ancestors and its aligned sub-tree with rolled-up
+//          progress (`rolledUpProgress`, as in GET /alignment), leaving out
+//          the OKRs the caller cannot see
+// @access  Private
+router.get('/:id/alignment', auth, async (req, res) => {
+  try {
+    const okr = await OKR.findById(req.params.id);
+    if (!okr || !okr.isActive) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, 'okr.read', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const okrs = await OKR.find({ organization: okr.organization, isActive: true })
+      .populate('assignedTo.user', 'firstName lastName email')
+      .populate('assignedTo.team', 'name')
+      .populate('department', 'name')
+      .populate('team', 'name')
+      .sort({ createdAt: 1 });
+
+    const tree = buildAlignmentTree(okrs, {
+      includedIds: collectLineageIds(okrs, okrs.filter(o => o._id.equals(okr._id))),
+      visibleIds: await visibleOkrIds(req, okrs)
+    });
+    const found = findInTree(tree, okr._id);
+    if (!found) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json({
+      ...found.node,
+      ancestors: found.path.map(({ children, ...ancestor }) => ancestor)
+    });
+  } catch (error) {
+    console.error('Get OKR sub-tree error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   PATCH /api/okrs/:id/progress
-// @desc    Update OKR progress
+// @desc    Update OKR progress. Key result owners without progress rights on
+//          the OKR can update their own key results, addressed by _id. Only
+//          progress fields change; key results are edited with PUT /:id.
 // @access  Private
 router.patch('/:id/progress', [
   auth,
-  body('keyResults').isArray().withMessage('Key results array is required')
+  body('keyResults').isArray().withMessage('Key results array is required'),
+  body('keyResults.*._id').optional().isMongoId().withMessage('Key result id must be valid'),
+  body('keyResults.*.currentValue').optional().custom(isNumberLike).withMessage('Current value must be a number'),
+  body('keyResults.*.progress').optional().isFloat({ min: 0, max: 100 }).withMessage('Progress must be between 0 and 100'),
+  body('keyResults.*.milestones').optional().isArray().withMessage('Milestones must be an array'),
+  body('keyResults.*.confidence').optional().isIn(CheckIn.CONFIDENCE_LEVELS).withMessage('Confidence must be on_track, at_risk or off_track'),
+  body('keyResults.*.note').optional().isString().withMessage('Check-in note must be text')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -216,40 +1286,226 @@ router.patch('/:id/progress', [
       return res.status(404).json({ message: 'OKR not found' });
     }
 
-    // Check if user can update progress
-    const canUpdateProgress = req.user.role === 'admin' ||
-                             okr.assignedBy.toString() === req.user._id.toString() ||
-                             (okr.assignedTo.type === 'user' && okr.assignedTo.user.toString() === req.user._id.toString());
-
-    if (!canUpdateProgress) {
+    // Check if user can update progress, on the whole OKR or on the key
+    // results they own
+    if (!(await hasPermission(req, 'okr.progress', okr)) && !(await canUpdateKeyResults(req, okr, req.body.keyResults))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    okr.keyResults = req.body.keyResults;
+    if (await isInClosedCycle(okr)) {
+      return res.status(400).json({ message: 'OKRs in a closed cycle cannot be changed' });
+    }
+
+    const updates = req.body.keyResults;
+    const withIds = updates.filter(update => update._id);
+
+    if (withIds.length > 0 && withIds.length !== updates.length) {
+      return res.status(400).json({ message: 'Either every key result update has an _id or none does' });
+    }
+
+    const before = snapshot('OKR', okr);
+
+    // Snapshot current values so every update can be recorded as a check-in
+    const previous = new Map(okr.keyResults.map(kr => [
+      kr._id.toString(),
+      { value: kr.currentValue, progress: kr.progress }
+    ]));
+    const checkedIn = new Map();
+
+    if (withIds.length === 0) {
+      // Legacy clients send the whole key result list without ids. Match them
+      // by position so existing key results keep their ids and history.
+      if (updates.length !== okr.keyResults.length) {
+        return res.status(400).json({ message: `Expected ${okr.keyResults.length} key result updates, got ${updates.length}` });
+      }
+
+      updates.forEach((update, index) => {
+        applyProgressUpdate(okr.keyResults[index], update);
+        checkedIn.set(okr.keyResults[index]._id.toString(), update);
+      });
+    } else {
+      for (const update of updates) {
+        const kr = okr.keyResults.id(update._id);
+        if (!kr) {
+          return res.status(400).json({ message: `Key result ${update._id} not found` });
+        }
+
+        applyProgressUpdate(kr, update);
+        checkedIn.set(kr._id.toString(), update);
+      }
+    }
+
     await okr.save();
 
+    const checkIns = okr.keyResults
+      .filter(kr => checkedIn.has(kr._id.toString()))
+      .map(kr => {
+        const before = previous.get(kr._id.toString()) || {};
+        return {
+          okr: okr._id,
+          keyResult: kr._id,
+          organization: okr.organization,
+          author: req.user._id,
+          previousValue: before.value,
+          value: kr.currentValue,
+          previousProgress: before.progress,
+          progress: kr.progress,
+          confidence: kr.confidence,
+          note: checkedIn.get(kr._id.toString()).note
+        };
+      });
+
+    await CheckIn.insertMany(checkIns);
+
+    await recordAudit({
+      req,
+      entityType: 'OKR',
+      entityId: okr._id,
+      organization: okr.organization,
+      action: 'progress',
+      before,
+      after: snapshot('OKR', okr)
+    });
+
     const updatedOkr = await OKR.findById(okr._id)
       .populate('assignedTo.user', 'firstName lastName email')
       .populate('assignedTo.team', 'name')
       .populate('assignedBy', 'firstName lastName')
+      .populate('owners contributors watchers', 'firstName lastName email')
       .populate('organization', 'name')
       .populate('department', 'name')
-      .populate('team', 'name')
-      .populate('comments.user', 'firstName lastName');
+      .populate('team', 'name');
+
+    publishOkrEvent('progress', okr, { actor: req.user, okr: updatedOkr, checkIns: checkIns.length });
 
     res.json(updatedOkr);
   } catch (error) {
+    if (error.name === 'ValidationError' || error.name === 'CastError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Update progress error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/okrs/:id/check-ins
+// @desc    Get the check-in timeline for an OKR
+// @access  Private
+router.get('/:id/check-ins', auth, async (req, res) => {
+  try {
+    const okr = await OKR.findById(req.params.id);
+    if (!okr) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, 'okr.read', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const checkIns = await CheckIn.find({ okr: okr._id })
+      .populate('author', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(checkIns);
+  } catch (error) {
+    console.error('Get check-ins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/okrs/:id/key-results/:keyResultId/check-ins
+// @desc    Get the check-in timeline for a single key result
+// @access  Private
+router.get('/:id/key-results/:keyResultId/check-ins', auth, async (req, res) => {
+  try {
+    const okr = await OKR.findById(req.params.id);
+    if (!okr) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, 'okr.read', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!okr.keyResults.id(req.params.keyResultId)) {
+      return res.status(404).json({ message: 'Key result not found' });
+    }
+
+    const checkIns = await CheckIn.find({ okr: okr._id, keyResult: req.params.keyResultId })
+      .populate('author', 'firstName lastName')
+      .sort({ createdAt: -1 });
+
+    res.json(checkIns);
+  } catch (error) {
+    console.error('Get key result check-ins error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/okrs/:id/comments
+// @desc    Get a page of an OKR's comment threads, each with its replies
+// @access  Private
+router.get('/:id/comments', [
+  auth,
+  ...paginationValidators(['createdAt'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const okr = await OKR.findById(req.params.id);
+    if (!okr || !okr.isActive) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, 'okr.read', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Pages are made of top-level comments; replies come along with their thread
+    const filter = { okr: okr._id, root: null };
+    const pagination = parsePagination(req, { defaultSort: { createdAt: 1 } });
+
+    const [threads, total] = await Promise.all([
+      populateComment(Comment.find(filter))
+        .sort(pagination.sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      Comment.countDocuments(filter)
+    ]);
+
+    const replies = await populateComment(Comment.find({ root: { $in: threads.map(thread => thread._id) } }))
+      .sort({ createdAt: 1 });
+
+    const repliesByThread = new Map();
+    replies.forEach(reply => {
+      const key = reply.root.toString();
+      if (!repliesByThread.has(key)) repliesByThread.set(key, []);
+      repliesByThread.get(key).push(reply);
+    });
+
+    res.json({
+      comments: threads.map(thread => ({
+        ...thread.toJSON(),
+        replies: repliesByThread.get(thread._id.toString()) || []
+      })),
+      pagination: paginationMeta(pagination, total)
+    });
+  } catch (error) {
+    console.error('Get comments error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   POST /api/okrs/:id/comments
-// @desc    Add comment to OKR
+// @desc    Add a comment, or a reply when `parent` is given
 // @access  Private
 router.post('/:id/comments', [
   auth,
-  body('text').notEmpty().withMessage('Comment text is required')
+  body('text').trim().notEmpty().withMessage('Comment text is required'),
+  body('parent').optional({ values: 'null' }).isMongoId().withMessage('Parent must be a valid comment id')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -258,33 +1514,96 @@ router.post('/:id/comments', [
     }
 
     const okr = await OKR.findById(req.params.id);
-    if (!okr) {
+    if (!okr || !okr.isActive) {
       return res.status(404).json({ message: 'OKR not found' });
     }
 
-    okr.comments.push({
-      user: req.user._id,
-      text: req.body.text
+    if (!(await hasPermission(req, 'okr.comment', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    let parent = null;
+    if (req.body.parent) {
+      parent = await Comment.findOne({ _id: req.body.parent, okr: okr._id });
+      if (!parent) {
+        return res.status(400).json({ message: 'Parent comment not found on this OKR' });
+      }
+      if (parent.deletedAt) {
+        return res.status(400).json({ message: 'Cannot reply to a deleted comment' });
+      }
+    }
+
+    const comment = new Comment({
+      okr: okr._id,
+      organization: okr.organization,
+      author: req.user._id,
+      parent: parent ? parent._id : null,
+      root: parent ? parent.root || parent._id : null,
+      text: req.body.text,
+      mentions: await resolveMentions(req.body.text, okr.organization)
     });
 
-    await okr.save();
+    await comment.save();
 
-    const updatedOkr = await OKR.findById(okr._id)
-      .populate('assignedTo.user', 'firstName lastName email')
-      .populate('assignedTo.team', 'name')
-      .populate('assignedBy', 'firstName lastName')
-      .populate('organization', 'name')
-      .populate('department', 'name')
-      .populate('team', 'name')
-      .populate('comments.user', 'firstName lastName');
+    await notifyCommentAdded({ okr, actor: req.user, comment, parent });
 
-    res.json(updatedOkr);
+    await populateComment(comment);
+
+    publishOkrEvent('comment', okr, { actor: req.user, comment });
+
+    res.status(201).json(comment);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Add comment error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   POST /api/okrs/:id/watch
+// @desc    Watch an OKR, to be notified of its activity
+// @access  Private
+router.post('/:id/watch', auth, async (req, res) => {
+  try {
+    const okr = await OKR.findById(req.params.id);
+    if (!okr || !okr.isActive) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, 'okr.read', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Watching only subscribes the caller, so it is not an audited change
+    await OKR.updateOne({ _id: okr._id }, { $addToSet: { watchers: req.user._id } });
+
+    res.json({ watching: true });
+  } catch (error) {
+    console.error('Watch OKR error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/okrs/:id/watch
+// @desc    Stop watching an OKR
+// @access  Private
+router.delete('/:id/watch', auth, async (req, res) => {
+  try {
+    const okr = await OKR.findById(req.params.id);
+    if (!okr) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    await OKR.updateOne({ _id: okr._id }, { $pull: { watchers: req.user._id } });
+
+    res.json({ watching: false });
+  } catch (error) {
+    console.error('Unwatch OKR error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // @route   DELETE /api/okrs/:id
 // @desc    Delete OKR
 // @access  Private
@@ -296,16 +1615,27 @@ router.delete('/:id', auth, async (req, res) => {
     }
 
     // Check if user has permission to delete
-    const canDelete = req.user.role === 'admin' || 
-                     okr.assignedBy.toString() === req.user._id.toString();
-
-    if (!canDelete) {
+    if (!(await hasPermission(req, 'okr.delete', okr))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
+    const before = snapshot('OKR', okr);
+
     okr.isActive = false;
     await okr.save();
 
+    await recordAudit({
+      req,
+      entityType: 'OKR',
+      entityId: okr._id,
+      organization: okr.organization,
+      action: 'delete',
+      before,
+      after: snapshot('OKR', okr)
+    });
+
+    publishOkrEvent('deleted', okr, { actor: req.user });
+
     res.json({ message: 'OKR deleted successfully' });
   } catch (error) {
     console.error('Delete OKR error:', error);
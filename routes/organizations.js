@@ -1,15 +1,54 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const Organization = require('../models/Organization');
-const { auth, authorize } = require('../middleware/auth');
+const User = require('../models/User');
+const Session = require('../models/Session');
+const { auth, hasPermission, requirePermission } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const { runWithoutTenant } = require('../utils/tenantContext');
 
 const router = express.Router();
 
+// Validation for the optional organization fields, shared by create and update
+const organizationValidators = [
+  body('description').optional().isString().trim(),
+  body('domain').optional({ values: 'falsy' }).isFQDN().withMessage('Domain must be a valid domain name'),
+  body('allowDomainJoin').optional().isBoolean().withMessage('Allow domain join must be true or false').toBoolean()
+];
+
+// Check that `organization` can let people join by email domain. Only one
+// organization can do so for each domain. Returns an error message or null.
+const checkDomainJoin = async (organization) => {
+  if (!organization.allowDomainJoin) return null;
+  if (!organization.domain) return 'Joining by email domain needs a domain';
+
+  const taken = await Organization.exists({
+    _id: { $ne: organization._id },
+    domain: organization.domain,
+    allowDomainJoin: true
+  });
+  return taken ? 'Another organization already lets people join with this domain' : null;
+};
+
+// Two organizations saved at once can both pass `checkDomainJoin`; the
+// unique index then turns the second one away
+const isDomainTaken = (error) => error.code === 11000 && Boolean(error.keyPattern && error.keyPattern.domain);
+
 // @route   GET /api/organizations
-// @desc    Get all organizations
-// @access  Private (Admin only)
-router.get('/', auth, authorize('admin'), async (req, res) => {
+// @desc    Get all organizations, or the archived ones with archived=true
+// @access  Private (Super admin only)
+router.get('/', [
+  auth,
+  requirePermission('organization.list'),
+  query('archived').optional().isBoolean().withMessage('Archived must be true or false')
+], async (req, res) => {
   try {
-    const organizations = await Organization.find({ isActive: true })
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organizations = await Organization.find({ isActive: req.query.archived !== 'true' })
       .sort({ name: 1 });
 
     res.json(organizations);
@@ -30,6 +69,10 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(404).json({ message: 'Organization not found' });
     }
 
+    if (!(await hasPermission(req, 'organization.read', organization))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
     res.json(organization);
   } catch (error) {
     console.error('Get organization error:', error);
@@ -39,24 +82,209 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/organizations
 // @desc    Create organization
-// @access  Private (Admin only)
-router.post('/', auth, authorize('admin'), async (req, res) => {
+// @access  Private (Super admin only)
+router.post('/', [
+  auth,
+  requirePermission('organization.create'),
+  body('name').trim().notEmpty().withMessage('Organization name is required'),
+  ...organizationValidators
+], async (req, res) => {
   try {
-    const { name, description, domain } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { name, description, domain, allowDomainJoin } = req.body;
 
     const organization = new Organization({
       name,
       description,
-      domain
+      domain,
+      allowDomainJoin
     });
 
+    const domainError = await checkDomainJoin(organization);
+    if (domainError) {
+      return res.status(400).json({ message: domainError });
+    }
+
     await organization.save();
 
+    await recordAudit({
+      req,
+      entityType: 'Organization',
+      entityId: organization._id,
+      organization: organization._id,
+      action: 'create',
+      after: snapshot('Organization', organization)
+    });
+
     res.status(201).json(organization);
   } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (isDomainTaken(error)) {
+      return res.status(400).json({ message: 'Another organization already lets people join with this domain' });
+    }
     console.error('Create organization error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// @route   PUT /api/organizations/:id
+// @desc    Update organization
+// @access  Private (Admin/Super admin; turning on domain joining is Super admin only)
+router.put('/:id', [
+  auth,
+  body('name').optional().trim().notEmpty().withMessage('Organization name cannot be empty'),
+  ...organizationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const organization = await Organization.findById(req.params.id);
+    if (!organization || !organization.isActive) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    if (!(await hasPermission(req, 'organization.manage', organization))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const before = snapshot('Organization', organization);
+
+    const { name, description, domain, allowDomainJoin } = req.body;
+    if (name !== undefined) organization.name = name;
+    if (description !== undefined) organization.description = description;
+    if (domain !== undefined) organization.domain = domain || undefined;
+    if (allowDomainJoin !== undefined) organization.allowDomainJoin = allowDomainJoin;
+
+    // Turning domain joining on, or pointing it at another domain, is for
+    // super-admins; org admins can still turn it off
+    const domainJoinChanged = organization.allowDomainJoin &&
+      (!before.allowDomainJoin || organization.domain !== before.domain);
+    if (domainJoinChanged && !(await hasPermission(req, 'organization.domainJoin', organization))) {
+      return res.status(403).json({ message: 'Only a platform admin can let people join by email domain' });
+    }
+
+    const domainError = await checkDomainJoin(organization);
+    if (domainError) {
+      return res.status(400).json({ message: domainError });
+    }
+
+    await organization.save();
+
+    await recordAudit({
+      req,
+      entityType: 'Organization',
+      entityId: organization._id,
+      organization: organization._id,
+      action: 'update',
+      before,
+      after: snapshot('Organization', organization)
+    });
+
+    res.json(organization);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (isDomainTaken(error)) {
+      return res.status(400).json({ message: 'Another organization already lets people join with this domain' });
+    }
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/archive
+// @desc    Archive organization. Its members are signed out and can no longer
+//          sign in; everything in it is kept as it is, so a restore brings it
+//          back unchanged.
+// @access  Private (Super admin only)
+router.post('/:id/archive', auth, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization || !organization.isActive) {
+      return res.status(404).json({ message: 'Organization not found' });
+    }
+
+    if (!(await hasPermission(req, 'organization.archive', organization))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const before = snapshot('Organization', organization);
+
+    organization.isActive = false;
+    await organization.save();
+
+    // Sessions are not tenant-scoped, and the members are in another tenant.
+    // The super-admin doing this keeps theirs.
+    const members = await runWithoutTenant(() => User.find({
+      organization: organization._id,
+      _id: { $ne: req.user._id }
+    }).select('_id'));
+    await Session.updateMany(
+      { user: { $in: members.map(member => member._id) }, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: 'organization_archived' }
+    );
+
+    await recordAudit({
+      req,
+      entityType: 'Organization',
+      entityId: organization._id,
+      organization: organization._id,
+      action: 'archive',
+      before,
+      after: snapshot('Organization', organization)
+    });
+
+    res.json({ message: 'Organization archived successfully' });
+  } catch (error) {
+    console.error('Archive organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/organizations/:id/restore
+// @desc    Restore an archived organization
+// @access  Private (Super admin only)
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.params.id);
+    if (!organization || organization.isActive) {
+      return res.status(404).json({ message: 'Archived organization not found' });
+    }
+
+    if (!(await hasPermission(req, 'organization.archive', organization))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const before = snapshot('Organization', organization);
+
+    organization.isActive = true;
+    await organization.save();
+
+    await recordAudit({
+      req,
+      entityType: 'Organization',
+      entityId: organization._id,
+      organization: organization._id,
+      action: 'restore',
+      before,
+      after: snapshot('Organization', organization)
+    });
+
+    res.json(organization);
+  } catch (error) {
+    console.error('Restore organization error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,22 +1,58 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const Team = require('../models/Team');
-const { auth, authorize } = require('../middleware/auth');
+const Department = require('../models/Department');
+const User = require('../models/User');
+const TeamMembership = require('../models/TeamMembership');
+const { MEMBERSHIP_ROLES } = require('../models/TeamMembership');
+const { auth, hasPermission } = require('../middleware/auth');
+const { snapshot, recordAudit } = require('../services/audit');
+const {
+  runStructureChange,
+  saveTracked,
+  updateTracked,
+  countOpenOkrsAssignedTo,
+  moveTeam,
+  addTeamMember,
+  changeMemberRole,
+  removeTeamMember,
+  syncTeamLead,
+  archiveTeam
+} = require('../services/orgStructure');
 
 const router = express.Router();
 
+const populateTeam = (query) => query
+  .populate('department', 'name')
+  .populate('organization', 'name')
+  .populate('teamLead', 'firstName lastName email');
+
+const findActiveDepartment = (id) => Department.findOne({ _id: id, isActive: true });
+const findActiveUser = (id) => User.findOne({ _id: id, isActive: true });
+
+const membershipRoleValidator = () => body('role').isIn(MEMBERSHIP_ROLES).withMessage(`Role must be one of ${MEMBERSHIP_ROLES.join(', ')}`);
+
 // @route   GET /api/teams
-// @desc    Get all teams in user's organization
+// @desc    Get all teams in user's organization, or the archived ones with archived=true
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  query('department').optional().isMongoId().withMessage('Department must be a valid id'),
+  query('archived').optional().isBoolean().withMessage('Archived must be true or false')
+], async (req, res) => {
   try {
-    const teams = await Team.find({ 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const filter = {
       organization: req.user.organization,
-      isActive: true 
-    })
-    .populate('department', 'name')
-    .populate('organization', 'name')
-    .populate('teamLead', 'firstName lastName email')
-    .sort({ name: 1 });
+      isActive: req.query.archived !== 'true'
+    };
+    if (req.query.department) filter.department = req.query.department;
+
+    const teams = await populateTeam(Team.find(filter)).sort({ name: 1 });
 
     res.json(teams);
   } catch (error) {
@@ -30,17 +66,14 @@ router.get('/', auth, async (req, res) => {
 // @access  Private
 router.get('/:id', auth, async (req, res) => {
   try {
-    const team = await Team.findById(req.params.id)
-      .populate('department', 'name')
-      .populate('organization', 'name')
-      .populate('teamLead', 'firstName lastName email');
+    const team = await populateTeam(Team.findById(req.params.id));
 
     if (!team) {
       return res.status(404).json({ message: 'Team not found' });
     }
 
     // Check if user has access to this team
-    if (team.organization.toString() !== req.user.organization.toString()) {
+    if (!(await hasPermission(req, 'team.read', team))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -53,31 +86,396 @@ router.get('/:id', auth, async (req, res) => {
 
 // @route   POST /api/teams
 // @desc    Create team
-// @access  Private (Admin/Team Lead)
-router.post('/', auth, authorize('admin', 'team_lead'), async (req, res) => {
+// @access  Private (Admin/Department Head)
+router.post('/', [
+  auth,
+  body('name').trim().notEmpty().withMessage('Team name is required'),
+  body('description').optional().isString().trim(),
+  body('department').isMongoId().withMessage('Department must be a valid id'),
+  body('teamLead').optional({ values: 'null' }).isMongoId().withMessage('Team lead must be a valid user id')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const { name, description, department, teamLead } = req.body;
 
+    if (!(await hasPermission(req, 'team.create', { organization: req.user.organization, department }))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!(await findActiveDepartment(department))) {
+      return res.status(400).json({ message: 'Department not found' });
+    }
+
+    if (teamLead && !(await findActiveUser(teamLead))) {
+      return res.status(400).json({ message: 'Team lead not found' });
+    }
+
     const team = new Team({
       name,
       description,
       department,
       organization: req.user.organization,
-      teamLead
+      teamLead: teamLead || undefined
     });
 
+    // The lead is put on the team along with it
+    await runStructureChange(req, async (ctx) => {
+      await saveTracked(team, 'Team', null, ctx, { action: 'create' });
+      await syncTeamLead(team, null, ctx);
+    }, { transaction: Boolean(teamLead) });
+
+    res.status(201).json(await populateTeam(Team.findById(team._id)));
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create team error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/teams/:id
+// @desc    Update team. Changing `department` moves the team, and its members
+//          with it, to that department. A new `teamLead` joins the team as a
+//          lead; the previous one stays on as a member.
+// @access  Private (Admin/Department Head/Team Lead; moving also needs rights on
+//          the new department, changing the lead is Admin/Department Head only)
+router.put('/:id', [
+  auth,
+  body('name').optional().trim().notEmpty().withMessage('Team name cannot be empty'),
+  body('description').optional().isString().trim(),
+  body('department').optional().isMongoId().withMessage('Department must be a valid id'),
+  body('teamLead').optional({ values: 'null' }).isMongoId().withMessage('Team lead must be a valid user id')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!(await hasPermission(req, 'team.manage', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { name, description, department, teamLead } = req.body;
+    const moving = department !== undefined && department !== team.department.toString();
+
+    if (moving) {
+      // Moving a team takes the same rights as creating one in the new department
+      if (!(await hasPermission(req, 'team.create', { organization: team.organization, department }))) {
+        return res.status(403).json({ message: 'Access denied' });
+      }
+      if (!(await findActiveDepartment(department))) {
+        return res.status(400).json({ message: 'Department not found' });
+      }
+    }
+
+    const previousLead = team.teamLead;
+    const changingLead = teamLead !== undefined && String(teamLead || '') !== String(previousLead || '');
+
+    if (changingLead && !(await hasPermission(req, 'team.assignLead', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (teamLead && !(await findActiveUser(teamLead))) {
+      return res.status(400).json({ message: 'Team lead not found' });
+    }
+
+    await runStructureChange(req, async (ctx) => {
+      if (moving) {
+        await moveTeam(team, department, ctx);
+      }
+      await updateTracked(team, 'Team', doc => {
+        if (name !== undefined) doc.name = name;
+        if (description !== undefined) doc.description = description;
+        if (teamLead !== undefined) doc.teamLead = teamLead || null;
+      }, ctx);
+      await syncTeamLead(team, previousLead, ctx);
+    }, { transaction: moving || changingLead });
+
+    res.json(await populateTeam(Team.findById(team._id)));
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update team error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/teams/:id/archive
+// @desc    Archive team. Members are taken off it. Its open OKRs must be
+//          moved to another team (moveOkrsTo) or cancelled (cancelOkrs=true);
+//          its closed OKRs keep pointing at it.
+// @access  Private (Admin/Department Head)
+router.post('/:id/archive', [
+  auth,
+  body('moveOkrsTo').optional().isMongoId().withMessage('Team to move OKRs to must be a valid id'),
+  body('cancelOkrs').optional().isBoolean().withMessage('Cancel OKRs must be true or false').toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!(await hasPermission(req, 'team.archive', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { moveOkrsTo, cancelOkrs = false } = req.body;
+
+    if (moveOkrsTo && cancelOkrs) {
+      return res.status(400).json({ message: 'Either move or cancel the team\'s OKRs, not both' });
+    }
+
+    let target = null;
+    if (moveOkrsTo) {
+      target = await Team.findOne({ _id: moveOkrsTo, isActive: true });
+      if (!target || target._id.equals(team._id)) {
+        return res.status(400).json({ message: 'Team to move OKRs to not found' });
+      }
+    }
+
+    const openOkrs = await countOpenOkrsAssignedTo([team._id]);
+    if (openOkrs > 0 && !target && !cancelOkrs) {
+      return res.status(409).json({
+        message: `The team has ${openOkrs} open OKRs; move them to another team with moveOkrsTo or cancel them with cancelOkrs`,
+        openOkrs
+      });
+    }
+
+    await runStructureChange(req, ctx => archiveTeam(team, { moveOkrsTo: target, cancelOkrs }, ctx));
+
+    res.json({ message: 'Team archived successfully', openOkrs });
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error('Archive team error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/teams/:id/restore
+// @desc    Restore an archived team. Its former members and OKRs are not moved back.
+// @access  Private (Admin/Department Head)
+router.post('/:id/restore', auth, async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team || team.isActive) {
+      return res.status(404).json({ message: 'Archived team not found' });
+    }
+
+    if (!(await hasPermission(req, 'team.archive', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (!(await findActiveDepartment(team.department))) {
+      return res.status(400).json({ message: 'The team\'s department is archived; restore the department first' });
+    }
+
+    const before = snapshot('Team', team);
+
+    team.isActive = true;
     await team.save();
 
-    const populatedTeam = await Team.findById(team._id)
-      .populate('department', 'name')
-      .populate('organization', 'name')
-      .populate('teamLead', 'firstName lastName email');
+    await recordAudit({
+      req,
+      entityType: 'Team',
+      entityId: team._id,
+      organization: team.organization,
+      action: 'restore',
+      before,
+      after: snapshot('Team', team)
+    });
 
-    res.status(201).json(populatedTeam);
+    res.json(await populateTeam(Team.findById(team._id)));
   } catch (error) {
-    console.error('Create team error:', error);
+    console.error('Restore team error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+const findMembership = (team, userId) => TeamMembership.findOne({ team: team._id, user: userId });
+
+const populateMembership = (query) => query
+  .populate('user', 'firstName lastName email role team')
+  .populate('addedBy', 'firstName lastName');
+
+// @route   GET /api/teams/:id/members
+// @desc    Get team roster, leads first
+// @access  Private
+router.get('/:id/members', auth, async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!(await hasPermission(req, 'team.read', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const members = await populateMembership(TeamMembership.find({ team: team._id }))
+      .sort({ role: 1, createdAt: 1 });
+
+    res.json(members);
+  } catch (error) {
+    console.error('Get team members error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/teams/:id/members
+// @desc    Add a user to team. A user without a primary team gets this one.
+// @access  Private (Admin/Department Head/Team Lead; adding a lead is Admin/Department Head only)
+router.post('/:id/members', [
+  auth,
+  body('user').isMongoId().withMessage('User must be a valid id'),
+  membershipRoleValidator().optional()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!(await hasPermission(req, 'team.manage', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (req.body.role === 'lead' && !(await hasPermission(req, 'team.assignLead', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const user = await findActiveUser(req.body.user);
+    if (!user) {
+      return res.status(400).json({ message: 'User not found' });
+    }
+
+    if (await findMembership(team, user._id)) {
+      return res.status(409).json({ message: 'User is already on this team' });
+    }
+
+    const membership = await runStructureChange(req, ctx => addTeamMember(team, user, req.body.role || 'member', ctx));
+
+    res.status(201).json(await populateMembership(TeamMembership.findById(membership._id)));
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Add team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/teams/:id/members/:userId
+// @desc    Change a member's role on team. Demoting the team's named lead also
+//          clears `teamLead`.
+// @access  Private (Admin/Department Head)
+router.put('/:id/members/:userId', [
+  auth,
+  membershipRoleValidator()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!(await hasPermission(req, 'team.assignLead', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const membership = await findMembership(team, req.params.userId);
+    if (!membership) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    await runStructureChange(req, ctx => changeMemberRole(membership, team, req.body.role, ctx));
+
+    res.json(await populateMembership(TeamMembership.findById(membership._id)));
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error('Update team member error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/teams/:id/members/:userId
+// @desc    Remove a user from team. If it was their primary team they are left
+//          without one.
+// @access  Private (Admin/Department Head/Team Lead; removing a lead is Admin/Department Head only)
+router.delete('/:id/members/:userId', auth, async (req, res) => {
+  try {
+    const team = await Team.findById(req.params.id);
+    if (!team || !team.isActive) {
+      return res.status(404).json({ message: 'Team not found' });
+    }
+
+    if (!(await hasPermission(req, 'team.manage', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const membership = await findMembership(team, req.params.userId);
+    if (!membership) {
+      return res.status(404).json({ message: 'Team member not found' });
+    }
+
+    // Leads can take members off their team, but not other leads
+    if (membership.role === 'lead' && !(await hasPermission(req, 'team.assignLead', team))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    // Null for a user who no longer exists, whose membership is just removed
+    const user = await User.findById(membership.user);
+
+    await runStructureChange(req, ctx => removeTeamMember(membership, team, user, ctx));
+
+    res.json({ message: 'Team member removed successfully' });
+  } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    console.error('Remove team member error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+module.exports = router;
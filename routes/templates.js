@@ -0,0 +1,296 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const OKRTemplate = require('../models/OKRTemplate');
+const OKR = require('../models/OKR');
+const { auth, hasPermission } = require('../middleware/auth');
+const { runWithoutTenant } = require('../utils/tenantContext');
+const { paginationValidators, parsePagination, paginationMeta } = require('../utils/pagination');
+
+const router = express.Router();
+
+const TEMPLATE_SORT_FIELDS = ['title', 'createdAt', 'updatedAt', 'usageCount'];
+const SCOPES = ['global', 'organization'];
+
+const templateValidators = [
+  body('title').trim().notEmpty().withMessage('Title is required'),
+  body('objective').trim().notEmpty().withMessage('Objective is required'),
+  body('description').optional().isString().withMessage('Description must be text'),
+  body('keyResults').isArray({ min: 1 }).withMessage('At least one key result is required'),
+  body('keyResults.*.description').notEmpty().withMessage('Key result description is required'),
+  body('keyResults.*.metricType').optional().isIn(OKR.METRIC_TYPES).withMessage('Invalid key result metric type'),
+  body('keyResults.*.startValue').optional({ values: 'null' }).isFloat().withMessage('Start value must be a number'),
+  body('keyResults.*.targetValue').optional({ values: 'null' }).isFloat().withMessage('Target value must be a number'),
+  body('keyResults.*.weight').optional().isFloat({ min: 0 }).withMessage('Key result weight must be a non-negative number'),
+  body('keyResults.*.milestones').optional().isArray().withMessage('Milestones must be an array'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('tags.*').isString().trim().notEmpty().withMessage('Tags cannot be empty')
+];
+
+const scopeValidator = body('scope').optional().isIn(SCOPES).withMessage(`Scope must be one of ${SCOPES.join(', ')}`);
+
+// Platform-wide templates have no organization, so only system code may save them
+const saveTemplate = (template) => (template.organization
+  ? template.save()
+  : runWithoutTenant(() => template.save()));
+
+const uniqueTags = (tags = []) => [...new Set(tags.map(tag => tag.trim().toLowerCase()))];
+
+// @route   GET /api/templates
+// @desc    Browse and search the templates available to the organization:
+//          its own plus the platform-wide ones
+// @access  Private
+router.get('/', [
+  auth,
+  query('q').optional().isString().trim().notEmpty().withMessage('Search text cannot be empty'),
+  query('tag').optional().isString().trim().notEmpty().withMessage('Tag cannot be empty'),
+  query('scope').optional().isIn(SCOPES).withMessage(`Scope must be one of ${SCOPES.join(', ')}`),
+  ...paginationValidators(TEMPLATE_SORT_FIELDS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q, tag, scope } = req.query;
+    const organization = req.user.organization._id;
+    const filter = { isActive: true };
+
+    if (scope === 'global') {
+      filter.organization = null;
+    } else if (scope === 'organization') {
+      filter.organization = organization;
+    } else {
+      filter.organization = { $in: [organization, null] };
+    }
+    if (tag) filter.tags = tag.toLowerCase();
+    if (q) filter.$text = { $search: q };
+
+    const pagination = parsePagination(req, {
+      defaultSort: q ? { score: { $meta: 'textScore' } } : { usageCount: -1, title: 1 }
+    });
+
+    const [templates, total] = await Promise.all([
+      OKRTemplate.find(filter)
+        .populate('createdBy', 'firstName lastName')
+        .sort(pagination.sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      OKRTemplate.countDocuments(filter)
+    ]);
+
+    res.json({ templates, pagination: paginationMeta(pagination, total) });
+  } catch (error) {
+    console.error('Get templates error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/templates/tags
+// @desc    Get the tags used by the available templates, most used first
+// @access  Private
+router.get('/tags', auth, async (req, res) => {
+  try {
+    const tags = await OKRTemplate.aggregate([
+      { $match: { isActive: true } },
+      { $unwind: '$tags' },
+      { $group: { _id: '$tags', count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $project: { _id: 0, tag: '$_id', count: 1 } }
+    ]);
+
+    res.json(tags);
+  } catch (error) {
+    console.error('Get template tags error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET /api/templates/:id
+// @desc    Get template by ID
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const template = await OKRTemplate.findById(req.params.id)
+      .populate('createdBy', 'firstName lastName');
+
+    if (!template || !template.isActive) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!(await hasPermission(req, 'template.read', template))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    console.error('Get template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates
+// @desc    Create a template for the organization, or a platform-wide one
+//          with scope=global
+// @access  Private (Super admin for platform-wide templates)
+router.post('/', [
+  auth,
+  ...templateValidators,
+  scopeValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { title, objective, description, keyResults, tags, scope } = req.body;
+
+    const template = new OKRTemplate({
+      title,
+      objective,
+      description,
+      keyResults,
+      tags: uniqueTags(tags),
+      organization: scope === 'global' ? null : req.user.organization._id,
+      createdBy: req.user._id
+    });
+
+    if (!(await hasPermission(req, 'template.create', template))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await saveTemplate(template);
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST /api/templates/from-okr/:okrId
+// @desc    Save an existing OKR's objective and key results as a template
+// @access  Private (Super admin for platform-wide templates)
+router.post('/from-okr/:okrId', [
+  auth,
+  body('title').optional().trim().notEmpty().withMessage('Title cannot be empty'),
+  body('description').optional().isString().withMessage('Description must be text'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('tags.*').isString().trim().notEmpty().withMessage('Tags cannot be empty'),
+  scopeValidator
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const okr = await OKR.findById(req.params.okrId);
+    if (!okr || !okr.isActive) {
+      return res.status(404).json({ message: 'OKR not found' });
+    }
+
+    if (!(await hasPermission(req, 'okr.read', okr))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { title, description, tags, scope } = req.body;
+    const isGlobal = scope === 'global';
+
+    const template = OKRTemplate.fromOkr(okr, {
+      ...(title && { title }),
+      description,
+      tags: uniqueTags(tags),
+      organization: isGlobal ? null : okr.organization,
+      // A platform-wide template cannot point into one organization
+      sourceOkr: isGlobal ? null : okr._id,
+      createdBy: req.user._id
+    });
+
+    if (!(await hasPermission(req, 'template.create', template))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    await saveTemplate(template);
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Create template from OKR error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/templates/:id
+// @desc    Update template
+// @access  Private (Creator, Admin, or Super admin for platform-wide templates)
+router.put('/:id', [
+  auth,
+  ...templateValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const template = await OKRTemplate.findById(req.params.id);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!(await hasPermission(req, 'template.manage', template))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const { title, objective, description, keyResults, tags } = req.body;
+
+    template.title = title;
+    template.objective = objective;
+    template.keyResults = keyResults;
+    if (description !== undefined) template.description = description;
+    if (tags) template.tags = uniqueTags(tags);
+
+    await saveTemplate(template);
+
+    res.json(template);
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE /api/templates/:id
+// @desc    Delete template
+// @access  Private (Creator, Admin, or Super admin for platform-wide templates)
+router.delete('/:id', auth, async (req, res) => {
+  try {
+    const template = await OKRTemplate.findById(req.params.id);
+    if (!template || !template.isActive) {
+      return res.status(404).json({ message: 'Template not found' });
+    }
+
+    if (!(await hasPermission(req, 'template.manage', template))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    template.isActive = false;
+    await saveTemplate(template);
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    console.error('Delete template error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,136 @@
 const express = require('express');
+const { body, query, validationResult } = require('express-validator');
 const User = require('../models/User');
-const { auth, authorize } = require('../middleware/auth');
+const Team = require('../models/Team');
+const TeamMembership = require('../models/TeamMembership');
+const { auth, hasPermission } = require('../middleware/auth');
+const { runStructureChange, updateTracked, syncPrimaryTeam } = require('../services/orgStructure');
+const { FORMATS, sendSheet } = require('../utils/spreadsheet');
+const { USER_COLUMNS, userExportRows } = require('../services/okrSpreadsheet');
+const {
+  sortValidator,
+  paginationValidators,
+  dateRangeValidators,
+  parsePagination,
+  applyDateRange,
+  sendPage
+} = require('../utils/pagination');
 
 const router = express.Router();
 
+const USER_SORT_FIELDS = ['firstName', 'lastName', 'email', 'role', 'createdAt'];
+const EXPORT_LIMIT = 10000;
+
+const userFilterValidators = [
+  query('role').optional().isIn(['user', 'team_lead', 'admin']).withMessage('Invalid role'),
+  query('q').optional().isString().trim().notEmpty().withMessage('Search text cannot be empty'),
+  query('team').optional().isMongoId().withMessage('Team must be a valid id'),
+  query('department').optional().isMongoId().withMessage('Department must be a valid id'),
+  ...dateRangeValidators('created')
+];
+
+// Mongo filter for the listing filters in the query string, shared by the
+// listing and the export. `team` matches everyone on the team, not only
+// those for whom it is the primary team.
+const buildUserFilter = async (req) => {
+  const { q, role, team, department } = req.query;
+  const filter = {
+    organization: req.user.organization,
+    isActive: true
+  };
+
+  if (role) filter.role = role;
+  if (team) filter._id = { $in: await TeamMembership.memberIdsOf(team) };
+  if (department) filter.department = department;
+  if (q) filter.$text = { $search: q };
+  applyDateRange(filter, req, 'created', 'createdAt');
+
+  return filter;
+};
+
 // @route   GET /api/users
-// @desc    Get all users in organization
+// @desc    Get a page of users in organization, with filters, sorting and
+//          search. Answers `{ users, pagination }` when `page` or `limit` is
+//          given, otherwise a bare array of every match as before paging.
 // @access  Private
-router.get('/', auth, async (req, res) => {
+router.get('/', [
+  auth,
+  ...userFilterValidators,
+  ...paginationValidators(USER_SORT_FIELDS)
+], async (req, res) => {
   try {
-    const users = await User.find({ 
-      organization: req.user.organization,
-      isActive: true 
-    })
-    .select('-password')
-    .populate('team', 'name')
-    .populate('department', 'name')
-    .populate('organization', 'name')
-    .sort({ firstName: 1, lastName: 1 });
-
-    res.json(users);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { q } = req.query;
+    const filter = await buildUserFilter(req);
+
+    const pagination = parsePagination(req, {
+      defaultSort: q ? { score: { $meta: 'textScore' } } : { firstName: 1, lastName: 1 },
+      unpaged: true
+    });
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('-password')
+        .populate('team', 'name')
+        .populate('department', 'name')
+        .populate('organization', 'name')
+        .sort(pagination.sort)
+        .skip(pagination.skip)
+        .limit(pagination.limit),
+      User.countDocuments(filter)
+    ]);
+
+    sendPage(req, res, 'users', users, pagination, total);
   } catch (error) {
     console.error('Get users error:', error);
     res.status(500).json({ message: 'Server error' });
   }
 });
 
+// @route   GET /api/users/export?format=csv|xlsx
+// @desc    Download the users in organization as CSV or XLSX. Takes the same
+//          filters and sort as the listing.
+// @access  Private
+router.get('/export', [
+  auth,
+  query('format').optional().isIn(FORMATS).withMessage(`Format must be one of ${FORMATS.join(', ')}`),
+  ...userFilterValidators,
+  sortValidator(USER_SORT_FIELDS)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { sort } = parsePagination(req, { defaultSort: { firstName: 1, lastName: 1 } });
+
+    const users = await User.find(await buildUserFilter(req))
+      .select('-password')
+      .populate('team', 'name')
+      .populate('department', 'name')
+      .sort(sort)
+      .limit(EXPORT_LIMIT);
+
+    await sendSheet(res, {
+      format: req.query.format || 'csv',
+      filename: `users-${new Date().toISOString().slice(0, 10)}`,
+      sheetName: 'Users',
+      columns: USER_COLUMNS,
+      rows: userExportRows(users)
+    });
+  } catch (error) {
+    console.error('Export users error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error' });
+    }
+  }
+});
+
 // @route   GET /api/users/:id
 // @desc    Get user by ID
 // @access  Private
@@ -42,7 +147,7 @@ router.get('/:id', auth, async (req, res) => {
     }
 
     // Check if user is in same organization
-    if (user.organization.toString() !== req.user.organization.toString()) {
+    if (!(await hasPermission(req, 'user.read', user))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -56,29 +161,52 @@ router.get('/:id', auth, async (req, res) => {
 // @route   PUT /api/users/:id
 // @desc    Update user
 // @access  Private
-router.put('/:id', auth, async (req, res) => {
+router.put('/:id', [
+  auth,
+  body('team').optional().isMongoId().withMessage('Team must be a valid id'),
+  body('department').optional().isMongoId().withMessage('Department must be a valid id')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const user = await User.findById(req.params.id);
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
     // Check if user can update this profile
-    const canUpdate = req.user.role === 'admin' || 
-                     req.user._id.toString() === req.params.id;
-
-    if (!canUpdate) {
+    if (!(await hasPermission(req, 'user.update', user))) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
     const { firstName, lastName, team, department } = req.body;
 
-    if (firstName) user.firstName = firstName;
-    if (lastName) user.lastName = lastName;
-    if (team) user.team = team;
-    if (department) user.department = department;
+    // Moving someone between teams or departments is a management action
+    if ((team || department) && !(await hasPermission(req, 'user.manage', user))) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    if (team && !(await Team.exists({ _id: team, isActive: true }))) {
+      return res.status(400).json({ message: 'Team not found' });
+    }
 
-    await user.save();
+    // A new primary team replaces the previous one on the user's teams, which
+    // is the only part that touches more than the user
+    const previousTeam = user.team;
+    const changingTeam = Boolean(team) && String(team) !== String(previousTeam);
+
+    await runStructureChange(req, async (ctx) => {
+      await updateTracked(user, 'User', doc => {
+        if (firstName) doc.firstName = firstName;
+        if (lastName) doc.lastName = lastName;
+        if (team) doc.team = team;
+        if (department) doc.department = department;
+      }, ctx);
+      await syncPrimaryTeam(user, previousTeam, ctx);
+    }, { transaction: changingTeam });
 
     const updatedUser = await User.findById(user._id)
       .select('-password')
@@ -88,6 +216,12 @@ router.put('/:id', auth, async (req, res) => {
 
     res.json(updatedUser);
   } catch (error) {
+    if (error.name === 'TransactionsUnavailableError') {
+      return res.status(503).json({ message: error.message });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
     console.error('Update user error:', error);
     res.status(500).json({ message: 'Server error' });
   }
@@ -0,0 +1,71 @@
+// Make a user a platform super-admin. An existing user is promoted; otherwise
+// the user is created, which is how the first user of a fresh install is
+// made. With --organization they also get a new organization to admin.
+// Usage: npm run super-admin -- someone@example.com
+//        npm run super-admin -- someone@example.com --password <password> [--name "First Last"] [--organization "Acme"]
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Organization = require('../models/Organization');
+
+dotenv.config();
+
+const USAGE = 'Usage: npm run super-admin -- <email> [--password <password>] [--name "<first> <last>"] [--organization "<name>"]';
+
+// `--flag value` pairs after the email
+const parseOptions = (args) => {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    if (!args[i].startsWith('--') || args[i + 1] === undefined) return null;
+    options[args[i].slice(2)] = args[i + 1];
+  }
+  return options;
+};
+
+const run = async () => {
+  const [email, ...rest] = process.argv.slice(2);
+  const options = parseOptions(rest);
+  if (!email || !options) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillsprint');
+
+  let user = await User.findOneAndUpdate(
+    { email: email.toLowerCase() },
+    { isSuperAdmin: true },
+    { new: true }
+  );
+
+  if (user) {
+    console.log(`✅ ${user.email} is now a super admin`);
+  } else if (!options.password) {
+    console.error(`❌ No user found with email ${email}; pass --password to create one`);
+    process.exitCode = 1;
+  } else {
+    const [firstName = 'Super', ...lastName] = (options.name || '').trim().split(/\s+/).filter(Boolean);
+
+    const organization = options.organization
+      ? await Organization.create({ name: options.organization })
+      : null;
+
+    user = await User.create({
+      firstName,
+      lastName: lastName.join(' ') || 'Admin',
+      email,
+      password: options.password,
+      isSuperAdmin: true,
+      ...(organization ? { organization: organization._id, role: 'admin' } : {})
+    });
+
+    console.log(`✅ Created super admin ${user.email}${organization ? `, admin of ${organization.name}` : ''}`);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Failed to create super admin:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,62 @@
+// Move comments embedded on OKR documents into the comments collection.
+// Safe to run more than once: migrated comments keep their original ids.
+// Usage: npm run migrate-comments
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const OKR = require('../models/OKR');
+const Comment = require('../models/Comment');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillsprint');
+
+  // The embedded array is no longer part of the OKR schema, so read it raw
+  const cursor = OKR.collection.find(
+    { 'comments.0': { $exists: true } },
+    { projection: { organization: 1, comments: 1 } }
+  );
+
+  let okrs = 0;
+  let migrated = 0;
+
+  for await (const okr of cursor) {
+    const result = await Comment.collection.bulkWrite(okr.comments.map(comment => ({
+      updateOne: {
+        filter: { _id: comment._id },
+        update: {
+          $setOnInsert: {
+            okr: okr._id,
+            organization: okr.organization,
+            author: comment.user,
+            parent: null,
+            root: null,
+            text: comment.text,
+            mentions: [],
+            edits: [],
+            editedAt: null,
+            reactions: [],
+            deletedAt: null,
+            createdAt: comment.createdAt,
+            updatedAt: comment.createdAt
+          }
+        },
+        upsert: true
+      }
+    })));
+
+    await OKR.collection.updateOne({ _id: okr._id }, { $unset: { comments: '' } });
+
+    okrs += 1;
+    migrated += result.upsertedCount;
+  }
+
+  console.log(`✅ Moved ${migrated} comments off ${okrs} OKRs`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Failed to migrate comments:', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,58 @@
+// Create team memberships from each user's `team`, and put the lead named on
+// each team on it as a lead. Safe to run more than once: existing memberships
+// are left as they are.
+// Usage: npm run migrate-team-memberships
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const TeamMembership = require('../models/TeamMembership');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillsprint');
+
+  const teams = await Team.collection
+    .find({ isActive: true }, { projection: { organization: 1, teamLead: 1 } })
+    .toArray();
+  const teamsById = new Map(teams.map(team => [team._id.toString(), team]));
+
+  const memberships = [];
+
+  const users = User.collection.find({ team: { $ne: null } }, { projection: { team: 1 } });
+  for await (const user of users) {
+    const team = teamsById.get(user.team.toString());
+    if (!team) continue;
+
+    const isLead = Boolean(team.teamLead) && team.teamLead.equals(user._id);
+    memberships.push({ team: team._id, user: user._id, organization: team.organization, role: isLead ? 'lead' : 'member' });
+  }
+
+  // Leads named on a team they are not a member of
+  for (const team of teams) {
+    if (team.teamLead && !memberships.some(membership => membership.team.equals(team._id) && membership.user.equals(team.teamLead))) {
+      memberships.push({ team: team._id, user: team.teamLead, organization: team.organization, role: 'lead' });
+    }
+  }
+
+  const now = new Date();
+  const result = memberships.length === 0 ? { upsertedCount: 0 } : await TeamMembership.collection.bulkWrite(
+    memberships.map(({ team, user, organization, role }) => ({
+      updateOne: {
+        filter: { team, user },
+        update: { $setOnInsert: { organization, role, createdAt: now, updatedAt: now } },
+        upsert: true
+      }
+    }))
+  );
+
+  console.log(`✅ Created ${result.upsertedCount} team memberships for ${teams.length} teams`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Failed to migrate team memberships:', err.message);
+  process.exit(1);
+});
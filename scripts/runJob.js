@@ -0,0 +1,39 @@
+// Run a background job once, straight away.
+// Usage: npm run job -- weekly-digest
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const scheduler = require('../services/scheduler');
+const { registerJobs } = require('../jobs');
+
+dotenv.config();
+
+const run = async () => {
+  registerJobs();
+
+  const name = process.argv[2];
+  if (!name || !scheduler.jobNames().includes(name)) {
+    console.error(`Usage: npm run job -- <${scheduler.jobNames().join('|')}>`);
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillsprint');
+
+  const outcome = await scheduler.runJob(name);
+
+  if (!outcome) {
+    console.error(`❌ ${name} is already running`);
+    process.exitCode = 1;
+  } else if (outcome.error) {
+    console.error(`❌ ${name} failed: ${outcome.error.message}`);
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ ${name} finished`, outcome.result);
+  }
+
+  await mongoose.disconnect();
+};
+
+run().catch(err => {
+  console.error('❌ Failed to run job:', err.message);
+  process.exit(1);
+});
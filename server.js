@@ -2,10 +2,21 @@ const express = require('express');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const mongoose = require('mongoose');
+const scheduler = require('./services/scheduler');
+const { registerJobs } = require('./jobs');
+const { getTransport } = require('./services/mailer');
 
 // Load environment variables from .env
 dotenv.config();
 
+// Fail now rather than on the first mail when mail delivery is misconfigured
+try {
+  console.log(`📧 Mail transport: ${getTransport().name}`);
+} catch (err) {
+  console.error('❌ Mail configuration error:', err.message);
+  process.exit(1);
+}
+
 const app = express();
 
 // CORS Middleware - allows React frontend (on port 3000) to communicate with backend
@@ -41,7 +52,18 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/skillspri
   useNewUrlParser: true,
   useUnifiedTopology: true,
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+
+  // Background jobs; turn off with JOBS_ENABLED=false
+  if (process.env.JOBS_ENABLED !== 'false') {
+    registerJobs();
+    const pollInterval = (parseInt(process.env.JOBS_POLL_INTERVAL_SECONDS, 10) || 30) * 1000;
+    scheduler.start({ pollInterval })
+      .then(() => console.log('⏰ Job scheduler started'))
+      .catch(err => console.error('❌ Job scheduler error:', err.message));
+  }
+})
 .catch(err => {
   console.error('❌ MongoDB connection error:', err.message);
   process.exit(1);
@@ -54,6 +76,14 @@ app.use('/api/organizations', require('./routes/organizations'));
 app.use('/api/departments', require('./routes/departments'));
 app.use('/api/teams', require('./routes/teams'));
 app.use('/api/okrs', require('./routes/okrs'));
+app.use('/api/templates', require('./routes/templates'));
+app.use('/api/comments', require('./routes/comments'));
+app.use('/api/cycles', require('./routes/cycles'));
+app.use('/api/invitations', require('./routes/invitations'));
+app.use('/api/audit-logs', require('./routes/auditLogs'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/notifications', require('./routes/notifications'));
+app.use('/api/events', require('./routes/events'));
 
 // Health Check Route
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,26 @@
+const Team = require('../models/Team');
+const TeamMembership = require('../models/TeamMembership');
+const Department = require('../models/Department');
+const { buildActor } = require('../policies');
+
+// Load the scope `user` acts with (see policies/index.js): the teams they are
+// on, the teams they lead and the departments they head. A user leads the
+// teams naming them as lead and those they are a lead member of.
+const loadActorFor = async (user) => {
+  const [memberships, ledTeams, headedDepartments] = await Promise.all([
+    TeamMembership.find({ user: user._id }).select('team role'),
+    Team.find({ teamLead: user._id, isActive: true }).select('_id'),
+    Department.find({ head: user._id, isActive: true }).select('_id')
+  ]);
+
+  return buildActor(user, {
+    teamIds: memberships.map(membership => membership.team),
+    ledTeamIds: [
+      ...ledTeams.map(team => team._id),
+      ...memberships.filter(membership => membership.role === 'lead').map(membership => membership.team)
+    ],
+    headedDepartmentIds: headedDepartments.map(department => department._id)
+  });
+};
+
+module.exports = { loadActorFor };
@@ -0,0 +1,250 @@
+const OKR = require('../models/OKR');
+const CheckIn = require('../models/CheckIn');
+const Department = require('../models/Department');
+const Team = require('../models/Team');
+const User = require('../models/User');
+
+const CLOSED_STATUSES = ['completed', 'cancelled'];
+const AT_RISK_CONFIDENCE = ['at_risk', 'off_track'];
+
+const PERIOD_FORMATS = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m'
+};
+
+const keyResultWeight = { $ifNull: ['$$kr.weight', 1] };
+
+// Weighted average of the key results' progress, as in OKR#calculateProgress.
+// OKRs in a closed cycle report their frozen final score instead.
+const progressExpression = {
+  $ifNull: ['$finalScore', {
+    $let: {
+      vars: {
+        totalWeight: { $sum: { $map: { input: '$keyResults', as: 'kr', in: keyResultWeight } } },
+        weightedProgress: {
+          $sum: {
+            $map: {
+              input: '$keyResults',
+              as: 'kr',
+              in: { $multiply: [{ $ifNull: ['$$kr.progress', 0] }, keyResultWeight] }
+            }
+          }
+        }
+      },
+      in: {
+        $cond: [{ $gt: ['$$totalWeight', 0] }, { $divide: ['$$weightedProgress', '$$totalWeight'] }, 0]
+      }
+    }
+  }]
+};
+
+// The team an OKR counts towards, as in the access policy
+const teamExpression = {
+  $cond: [
+    { $and: [{ $eq: ['$assignedTo.type', 'team'] }, { $ifNull: ['$assignedTo.team', false] }] },
+    '$assignedTo.team',
+    '$team'
+  ]
+};
+
+const GROUPINGS = {
+  department: { key: '$department', model: Department, fields: 'name' },
+  team: { key: teamExpression, model: Team, fields: 'name' },
+  user: {
+    key: { $cond: [{ $eq: ['$assignedTo.type', 'user'] }, '$assignedTo.user', null] },
+    model: User,
+    fields: 'firstName lastName email'
+  }
+};
+
+// Per-OKR progress and flags the metric groups are summed from
+const annotateStages = (now) => [{
+  $addFields: {
+    progress: progressExpression,
+    isOpen: { $not: [{ $in: ['$status', CLOSED_STATUSES] }] },
+    isCompleted: { $eq: ['$status', 'completed'] },
+    isCancelled: { $eq: ['$status', 'cancelled'] }
+  }
+}, {
+  $addFields: {
+    isOverdue: { $and: ['$isOpen', { $lt: ['$dueDate', now] }] },
+    isAtRisk: {
+      $and: ['$isOpen', {
+        $anyElementTrue: [{
+          $map: {
+            input: { $ifNull: ['$keyResults', []] },
+            as: 'kr',
+            in: { $in: ['$$kr.confidence', AT_RISK_CONFIDENCE] }
+          }
+        }]
+      }]
+    }
+  }
+}];
+
+const countIf = (flag) => ({ $sum: { $cond: [flag, 1, 0] } });
+
+const metricsGroup = (key) => ({
+  $group: {
+    _id: key,
+    total: { $sum: 1 },
+    completed: countIf('$isCompleted'),
+    cancelled: countIf('$isCancelled'),
+    overdue: countIf('$isOverdue'),
+    atRisk: countIf('$isAtRisk'),
+    averageProgress: { $avg: '$progress' }
+  }
+});
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// Completion rate leaves cancelled OKRs out, since they were never meant to finish
+const formatMetrics = ({ total = 0, completed = 0, cancelled = 0, overdue = 0, atRisk = 0, averageProgress = null } = {}) => {
+  const countable = total - cancelled;
+  return {
+    total,
+    completed,
+    cancelled,
+    overdue,
+    atRisk,
+    completionRate: countable > 0 ? round((completed / countable) * 100) : 0,
+    averageProgress: averageProgress === null ? 0 : round(averageProgress)
+  };
+};
+
+const toCounts = (buckets) => buckets.reduce((counts, bucket) => {
+  counts[bucket._id] = bucket.count;
+  return counts;
+}, {});
+
+// Headline numbers plus status and priority distribution for the OKRs in `match`
+const getSummary = async (match, now = new Date()) => {
+  const [result] = await OKR.aggregate([
+    { $match: match },
+    ...annotateStages(now),
+    {
+      $facet: {
+        totals: [metricsGroup(null)],
+        byStatus: [{ $group: { _id: '$status', count: { $sum: 1 } } }],
+        byPriority: [{ $group: { _id: '$priority', count: { $sum: 1 } } }]
+      }
+    }
+  ]);
+
+  return {
+    ...formatMetrics(result.totals[0]),
+    byStatus: toCounts(result.byStatus),
+    byPriority: toCounts(result.byPriority)
+  };
+};
+
+// Completion and progress metrics grouped by department, team or assigned user
+const getBreakdown = async (match, by, now = new Date()) => {
+  const grouping = GROUPINGS[by];
+
+  const groups = await OKR.aggregate([
+    { $match: match },
+    ...annotateStages(now),
+    metricsGroup(grouping.key),
+    { $sort: { averageProgress: -1 } }
+  ]);
+
+  const entities = await grouping.model.find({ _id: { $in: groups.map(group => group._id).filter(Boolean) } })
+    .select(grouping.fields);
+  const entitiesById = new Map(entities.map(entity => [entity._id.toString(), entity]));
+
+  // OKRs without a department, team or assigned user are grouped under null
+  return groups.map(group => ({
+    [by]: group._id ? entitiesById.get(group._id.toString()) || { _id: group._id } : null,
+    ...formatMetrics(group)
+  }));
+};
+
+// Progress over time for the OKRs in `match`, from their key result check-ins.
+// Each period reports the average OKR progress as it stood at the end of that
+// period, using every key result's latest check-in up to then.
+const getProgressSeries = async (match, { from, to, interval = 'week' }) => {
+  const okrs = await OKR.find(match).select('keyResults._id keyResults.weight keyResults.progress');
+  if (okrs.length === 0) return [];
+
+  const rows = await CheckIn.aggregate([
+    { $match: { okr: { $in: okrs.map(okr => okr._id) }, createdAt: { $lte: to } } },
+    { $sort: { createdAt: 1 } },
+    {
+      $group: {
+        _id: {
+          period: { $dateToString: { format: PERIOD_FORMATS[interval], date: '$createdAt' } },
+          okr: '$okr',
+          keyResult: '$keyResult'
+        },
+        periodStart: { $min: '$createdAt' },
+        inRange: { $max: { $cond: [{ $gte: ['$createdAt', from] }, 1, 0] } },
+        previousProgress: { $first: '$previousProgress' },
+        progress: { $last: '$progress' },
+        checkIns: { $sum: 1 }
+      }
+    },
+    { $sort: { periodStart: 1 } }
+  ]);
+
+  // Carried-over OKRs share key result ids, so key results are keyed by OKR too
+  const keyOf = (okrId, keyResultId) => `${okrId}:${keyResultId}`;
+
+  // Key results start from their value before their first check-in. Those
+  // never checked in have not moved, so their current progress holds throughout.
+  const progressByKeyResult = new Map();
+  rows.forEach(row => {
+    const key = keyOf(row._id.okr, row._id.keyResult);
+    if (!progressByKeyResult.has(key)) {
+      progressByKeyResult.set(key, row.previousProgress || 0);
+    }
+  });
+
+  const okrProgress = (okr) => {
+    const totalWeight = okr.keyResults.reduce((sum, kr) => sum + (kr.weight != null ? kr.weight : 1), 0);
+    if (totalWeight === 0) return 0;
+
+    const weighted = okr.keyResults.reduce((sum, kr) => {
+      const key = keyOf(okr._id, kr._id);
+      const progress = progressByKeyResult.has(key) ? progressByKeyResult.get(key) : kr.progress || 0;
+      return sum + progress * (kr.weight != null ? kr.weight : 1);
+    }, 0);
+    return weighted / totalWeight;
+  };
+
+  const periods = new Map();
+  rows.forEach(row => {
+    const period = periods.get(row._id.period) || { period: row._id.period, inRange: false, checkIns: 0, okrs: new Set(), rows: [] };
+    period.inRange = period.inRange || row.inRange === 1;
+    period.checkIns += row.checkIns;
+    period.okrs.add(row._id.okr.toString());
+    period.rows.push(row);
+    periods.set(row._id.period, period);
+  });
+
+  const series = [];
+  [...periods.values()].forEach(period => {
+    period.rows.forEach(row => progressByKeyResult.set(keyOf(row._id.okr, row._id.keyResult), row.progress));
+
+    // Check-ins before the range only move the starting point forward
+    if (!period.inRange) return;
+
+    series.push({
+      period: period.period,
+      checkIns: period.checkIns,
+      okrsUpdated: period.okrs.size,
+      averageProgress: round(okrs.reduce((sum, okr) => sum + okrProgress(okr), 0) / okrs.length)
+    });
+  });
+
+  return series;
+};
+
+module.exports = {
+  PERIOD_FORMATS,
+  GROUPINGS,
+  getSummary,
+  getBreakdown,
+  getProgressSeries
+};
@@ -0,0 +1,78 @@
+const AuditLog = require('../models/AuditLog');
+const { runWithoutTenant } = require('../utils/tenantContext');
+
+// Fields whose history is kept for each audited entity type
+const AUDITED_FIELDS = {
+  OKR: [
+    'title', 'objective', 'keyResults', 'assignedTo', 'owners', 'contributors', 'watchers',
+    'visibility', 'status', 'priority', 'startDate', 'dueDate', 'completedDate', 'parent',
+    'parentKeyResult', 'progressSource', 'cycle', 'finalScore', 'overdueAt', 'isActive'
+  ],
+  User: ['firstName', 'lastName', 'email', 'role', 'team', 'department', 'organization', 'isActive'],
+  Team: ['name', 'description', 'department', 'teamLead', 'isActive'],
+  Department: ['name', 'description', 'head', 'isActive'],
+  Organization: ['name', 'description', 'domain', 'allowDomainJoin', 'isActive'],
+  TeamMembership: ['team', 'user', 'role']
+};
+
+// Plain copy of the audited fields of a document, with populated refs reduced to ids
+const snapshot = (entityType, doc) => {
+  if (!doc) return null;
+
+  const plain = JSON.parse(JSON.stringify(doc.toObject({ depopulate: true, virtuals: false })));
+  return AUDITED_FIELDS[entityType].reduce((fields, field) => {
+    if (plain[field] !== undefined) fields[field] = plain[field];
+    return fields;
+  }, {});
+};
+
+// Field-level differences between two snapshots
+const diff = (before, after) => {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  return [...fields]
+    .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+    .map(field => ({
+      field,
+      before: (before || {})[field],
+      after: (after || {})[field]
+    }));
+};
+
+// Record an audit entry. `before` and `after` are snapshots taken with
+// `snapshot()`; updates that change nothing are not recorded. Audit failures
+// are logged rather than failing the request that triggered them.
+const recordAudit = async ({
+  req,
+  actor,
+  entityType,
+  entityId,
+  organization,
+  action,
+  before = null,
+  after = null,
+  metadata
+}) => {
+  try {
+    const changes = diff(before, after);
+    if (action === 'update' && changes.length === 0) return null;
+
+    // Entries are written by the system on behalf of `organization`, which for
+    // super-admin actions is not necessarily the actor's own organization
+    return await runWithoutTenant(() => AuditLog.create({
+      organization,
+      actor: actor || (req && req.user ? req.user._id : undefined),
+      entityType,
+      entityId,
+      action,
+      changes,
+      metadata,
+      ipAddress: req ? req.ip : undefined
+    }));
+  } catch (error) {
+    console.error('Audit log error:', error);
+    return null;
+  }
+};
+
+module.exports = { AUDITED_FIELDS, snapshot, diff, recordAudit };
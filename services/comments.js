@@ -0,0 +1,29 @@
+const User = require('../models/User');
+const { parseMentions } = require('../utils/mentions');
+const { idOf } = require('../policies');
+
+const AUTHOR_FIELDS = 'firstName lastName';
+const MENTION_FIELDS = 'firstName lastName email';
+
+// Populate a comment query, or a loaded comment, for the API
+const populateComment = (target) => target.populate([
+  { path: 'author', select: AUTHOR_FIELDS },
+  { path: 'mentions', select: MENTION_FIELDS }
+]);
+
+// Ids of the active users in `organization` that `text` mentions. Mentions of
+// anyone else are left as plain text.
+const resolveMentions = async (text, organization) => {
+  const { ids, emails } = parseMentions(text);
+  if (ids.length === 0 && emails.length === 0) return [];
+
+  const users = await User.find({
+    organization: idOf(organization),
+    isActive: true,
+    $or: [{ _id: { $in: ids } }, { email: { $in: emails } }]
+  }).select('_id');
+
+  return users.map(user => user._id);
+};
+
+module.exports = { populateComment, resolveMentions };
@@ -0,0 +1,11 @@
+const { sendMail } = require('../../mailer');
+const mailTemplates = require('../../mailer/templates');
+
+// Send the digest as an email through the configured mail transport
+const createEmailChannel = () => ({
+  name: 'email',
+
+  deliver: ({ user, digest }) => sendMail(mailTemplates.weeklyDigest({ user, digest }))
+});
+
+module.exports = createEmailChannel;
@@ -0,0 +1,16 @@
+const { notify } = require('../../notifications');
+
+// Post the digest to the user's notification center
+const createInAppChannel = () => ({
+  name: 'in_app',
+
+  deliver: ({ user, digest }) => notify({
+    type: 'weekly_digest',
+    recipients: [user],
+    message: `This week: ${digest.openOkrs} open OKRs, ${digest.dueSoon.length} due soon, ` +
+      `${digest.overdue.length} overdue, average progress ${digest.averageProgress}%`,
+    data: digest
+  })
+});
+
+module.exports = createInAppChannel;
@@ -0,0 +1,92 @@
+const OKR = require('../../models/OKR');
+const CheckIn = require('../../models/CheckIn');
+const Notification = require('../../models/Notification');
+const TeamMembership = require('../../models/TeamMembership');
+const createEmailChannel = require('./channels/email');
+const createInAppChannel = require('./channels/inApp');
+
+const WEEK = 7 * 24 * 60 * 60 * 1000;
+
+// Build the channel named by DIGEST_CHANNEL (email or in_app)
+const createChannelFromEnv = () => {
+  switch (process.env.DIGEST_CHANNEL) {
+    case 'in_app':
+      return createInAppChannel();
+    default:
+      return createEmailChannel();
+  }
+};
+
+let channel = null;
+
+const getChannel = () => {
+  if (!channel) channel = createChannelFromEnv();
+  return channel;
+};
+
+// Swap the delivery channel at runtime. Any object with an async
+// `deliver({ user, digest })` method works.
+const setChannel = (nextChannel) => {
+  channel = nextChannel;
+};
+
+const summarize = (okr) => ({
+  _id: okr._id,
+  title: okr.title,
+  dueDate: okr.dueDate,
+  progress: okr.calculateProgress()
+});
+
+// A user's week: the open OKRs they own or that are assigned to their teams,
+// what is due in the coming week or overdue, their check-ins and their unread
+// notifications
+const buildDigest = async (user, now = new Date()) => {
+  const weekAgo = new Date(now.getTime() - WEEK);
+  const weekAhead = new Date(now.getTime() + WEEK);
+
+  const teamIds = await TeamMembership.teamIdsOf(user._id);
+  const assignments = [
+    { 'assignedTo.type': 'user', 'assignedTo.user': user._id },
+    { 'assignedTo.type': 'team', 'assignedTo.team': { $in: teamIds } },
+    { owners: user._id }
+  ];
+
+  const [okrs, checkIns, unreadNotifications] = await Promise.all([
+    OKR.find({ isActive: true, status: { $in: ['draft', 'pending_approval', 'active'] }, $or: assignments }).sort({ dueDate: 1 }),
+    CheckIn.countDocuments({ author: user._id, createdAt: { $gte: weekAgo } }),
+    Notification.countDocuments({ recipient: user._id, readAt: null })
+  ]);
+
+  const progress = okrs.map(okr => okr.calculateProgress());
+
+  return {
+    periodStart: weekAgo,
+    periodEnd: now,
+    openOkrs: okrs.length,
+    averageProgress: progress.length > 0
+      ? Math.round(progress.reduce((sum, value) => sum + value, 0) / progress.length)
+      : 0,
+    dueSoon: okrs.filter(okr => okr.dueDate >= now && okr.dueDate <= weekAhead).map(summarize),
+    overdue: okrs.filter(okr => okr.dueDate < now).map(summarize),
+    checkIns,
+    unreadNotifications
+  };
+};
+
+// Build and deliver a user's digest. Users who opted out, or who have nothing
+// to hear about, are skipped. Returns whether a digest went out.
+const sendDigest = async (user, now = new Date()) => {
+  if (user.notificationPreferences && user.notificationPreferences.weekly_digest === false) {
+    return false;
+  }
+
+  const digest = await buildDigest(user, now);
+  if (digest.openOkrs === 0 && digest.unreadNotifications === 0) {
+    return false;
+  }
+
+  await getChannel().deliver({ user, digest });
+  return true;
+};
+
+module.exports = { buildDigest, sendDigest, getChannel, setChannel };
@@ -0,0 +1,50 @@
+const createOutboxTransport = require('./transports/outbox');
+const createSmtpTransport = require('./transports/smtp');
+
+// Build the transport named by MAIL_TRANSPORT (console, file or smtp). The
+// console transport prints reset and invitation links, so it is only the
+// default outside production; there the transport has to be chosen.
+const createTransportFromEnv = () => {
+  switch (process.env.MAIL_TRANSPORT) {
+    case 'smtp':
+      return createSmtpTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASS
+      });
+    case 'file':
+      return createOutboxTransport({ dir: process.env.MAIL_OUTBOX_DIR || 'outbox' });
+    case 'console':
+      return createOutboxTransport();
+    default:
+      if (process.env.MAIL_TRANSPORT || process.env.NODE_ENV === 'production') {
+        throw new Error(`MAIL_TRANSPORT must be console, file or smtp${process.env.NODE_ENV === 'production' ? ' in production' : ''}`);
+      }
+      return createOutboxTransport();
+  }
+};
+
+let transport = null;
+
+const getTransport = () => {
+  if (!transport) transport = createTransportFromEnv();
+  return transport;
+};
+
+// Swap the transport at runtime, e.g. to capture mail in tests.
+// Any object with an async `send(message)` method works.
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = ({ to, subject, text, html }) => getTransport().send({
+  from: process.env.MAIL_FROM || 'SkillSprint <no-reply@skillsprint.app>',
+  to,
+  subject,
+  text,
+  html
+});
+
+module.exports = { sendMail, setTransport, getTransport };
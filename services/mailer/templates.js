@@ -0,0 +1,61 @@
+const appUrl = (pathname) => `${process.env.APP_URL || 'http://localhost:3000'}${pathname}`;
+
+const passwordReset = ({ user, token, expiresInMinutes }) => {
+  const link = appUrl(`/reset-password?token=${token}`);
+  return {
+    to: user.email,
+    subject: 'Reset your SkillSprint password',
+    text: `Hi ${user.firstName},\n\n` +
+      `Use the link below to choose a new password. It expires in ${expiresInMinutes} minutes ` +
+      'and can only be used once.\n\n' +
+      `${link}\n\n` +
+      'If you did not ask for a password reset you can ignore this email.'
+  };
+};
+
+const passwordChanged = ({ user }) => ({
+  to: user.email,
+  subject: 'Your SkillSprint password was changed',
+  text: `Hi ${user.firstName},\n\n` +
+    'The password for your SkillSprint account was just changed and your other sessions were signed out. ' +
+    'If this was not you, reset your password right away.'
+});
+
+const invitation = ({ invitation: invite, organization, invitedBy, token }) => {
+  const link = appUrl(`/register?invite=${token}`);
+  return {
+    to: invite.email,
+    subject: `You're invited to join ${organization.name} on SkillSprint`,
+    text: `${invitedBy.firstName} ${invitedBy.lastName} invited you to join ${organization.name} on SkillSprint.\n\n` +
+      `Create your account here: ${link}\n\n` +
+      `This invitation expires on ${invite.expiresAt.toDateString()}.`
+  };
+};
+
+const okrLines = (okrs) => okrs
+  .map(okr => `  - ${okr.title} (${okr.progress}%, due ${okr.dueDate.toDateString()})`)
+  .join('\n');
+
+const weeklyDigest = ({ user, digest }) => {
+  const sections = [
+    `You have ${digest.openOkrs} open OKRs with an average progress of ${digest.averageProgress}%.`,
+    `You logged ${digest.checkIns} check-ins this week and have ${digest.unreadNotifications} unread notifications.`
+  ];
+
+  if (digest.dueSoon.length > 0) {
+    sections.push(`Due in the next week:\n${okrLines(digest.dueSoon)}`);
+  }
+  if (digest.overdue.length > 0) {
+    sections.push(`Overdue:\n${okrLines(digest.overdue)}`);
+  }
+
+  return {
+    to: user.email,
+    subject: 'Your SkillSprint weekly digest',
+    text: `Hi ${user.firstName},\n\n` +
+      `${sections.join('\n\n')}\n\n` +
+      `Open SkillSprint: ${appUrl('/')}`
+  };
+};
+
+module.exports = { passwordReset, passwordChanged, invitation, weeklyDigest };
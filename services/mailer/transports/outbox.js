@@ -0,0 +1,28 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Development transport: writes every message to the console, and to a JSON
+// file per message when an outbox directory is configured
+const createOutboxTransport = ({ dir } = {}) => ({
+  name: dir ? 'file' : 'console',
+
+  async send(message) {
+    const sentAt = new Date();
+
+    if (!dir) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+      return { id: `console-${sentAt.getTime()}` };
+    }
+
+    await fs.mkdir(dir, { recursive: true });
+    const id = `${sentAt.getTime()}-${Math.random().toString(36).slice(2, 8)}`;
+    await fs.writeFile(
+      path.join(dir, `${id}.json`),
+      JSON.stringify({ ...message, sentAt }, null, 2)
+    );
+
+    return { id };
+  }
+});
+
+module.exports = createOutboxTransport;
@@ -0,0 +1,267 @@
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const TeamMembership = require('../models/TeamMembership');
+const Department = require('../models/Department');
+const { can, idOf } = require('../policies');
+const { loadActorFor } = require('./actors');
+const { publishNotification } = require('./realtime');
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+
+const statusLabel = (status) => status.replace(/_/g, ' ');
+
+const idsOf = (values) => (values || []).filter(Boolean).map(idOf);
+
+// Users an OKR is assigned to: the assignee, or every member of the assigned
+// team, and its co-owners
+const assigneeIds = async (okr) => {
+  const { assignedTo } = okr;
+  const owners = idsOf(okr.owners);
+  if (!assignedTo) return owners;
+
+  if (assignedTo.type === 'user') {
+    return assignedTo.user ? [idOf(assignedTo.user), ...owners] : owners;
+  }
+
+  if (assignedTo.type === 'team' && assignedTo.team) {
+    const memberIds = await TeamMembership.memberIdsOf(idOf(assignedTo.team));
+    const members = await User.find({ _id: { $in: memberIds }, isActive: true }).select('_id');
+    return [...members.map(member => idOf(member)), ...owners];
+  }
+
+  return owners;
+};
+
+// Contributors to an OKR: its contributors and the owners of its key results
+const contributorIds = (okr) => [
+  ...idsOf(okr.contributors),
+  ...idsOf((okr.keyResults || []).map(kr => kr.owner))
+];
+
+// Everyone following an OKR's activity: its assignees, contributors and
+// watchers, and whoever assigned it
+const okrAudienceIds = async (okr) => [
+  ...await assigneeIds(okr),
+  ...contributorIds(okr),
+  ...idsOf(okr.watchers),
+  idOf(okr.assignedBy)
+];
+
+// The users among `userIds` who can see `okr`. Anyone in its organization
+// can see an organization-wide OKR, so only narrower ones are checked.
+const idsWhoCanSee = async (okr, userIds) => {
+  if (!okr.visibility || okr.visibility === 'organization') return userIds;
+
+  const users = await User.find({ _id: { $in: userIds } }).select('organization role department team');
+  const visible = [];
+  for (const user of users) {
+    if (can(await loadActorFor(user), 'okr.read', okr)) visible.push(idOf(user));
+  }
+  return visible;
+};
+
+// Members of a team who lead it: its lead members, and members with the
+// team_lead role
+const teamLeadIds = async (teamId) => {
+  const [memberIds, leadMemberIds] = await Promise.all([
+    TeamMembership.memberIdsOf(teamId),
+    TeamMembership.memberIdsOf(teamId, { role: 'lead' })
+  ]);
+  const leads = await User.find({
+    _id: { $in: memberIds },
+    isActive: true,
+    $or: [{ _id: { $in: leadMemberIds } }, { role: 'team_lead' }]
+  }).select('_id');
+  return leads.map(lead => idOf(lead));
+};
+
+// People who can approve an OKR: the leads of its team and the head of its
+// department who can see it, or the organization's admins when there are none
+const approverIds = async (okr) => {
+  const [team, department, teamLeads] = await Promise.all([
+    okr.team ? Team.findById(idOf(okr.team)).select('teamLead') : null,
+    okr.department ? Department.findById(idOf(okr.department)).select('head') : null,
+    okr.team ? teamLeadIds(idOf(okr.team)) : []
+  ]);
+
+  const ids = [
+    team && team.teamLead,
+    department && department.head,
+    ...teamLeads
+  ].filter(Boolean).map(idOf);
+  const visibleIds = await idsWhoCanSee(okr, ids);
+  if (visibleIds.length > 0) return visibleIds;
+
+  const admins = await User.find({ organization: idOf(okr.organization), role: 'admin', isActive: true }).select('_id');
+  return admins.map(admin => idOf(admin));
+};
+
+// Create a notification for each recipient who wants this type. `recipients`
+// is a list of users or ids, or an async function returning one. The actor is
+// never notified about their own action, and nobody about an OKR they cannot
+// see. Failures are logged rather than failing the request that triggered them.
+const notify = async ({ type, recipients, actor, okr, message, data }) => {
+  try {
+    const actorId = idOf(actor);
+    const list = typeof recipients === 'function' ? await recipients() : recipients;
+    let ids = [...new Set(list.filter(Boolean).map(idOf))].filter(id => id !== actorId);
+    if (okr) ids = await idsWhoCanSee(okr, ids);
+    if (ids.length === 0) return [];
+
+    const users = await User.find({ _id: { $in: ids }, isActive: true })
+      .select('organization notificationPreferences');
+
+    const notifications = users
+      .filter(user => !user.notificationPreferences || user.notificationPreferences[type] !== false)
+      .map(user => ({
+        recipient: user._id,
+        organization: user.organization,
+        type,
+        actor: actorId,
+        okr: okr && okr._id,
+        message,
+        data
+      }));
+
+    if (notifications.length === 0) return [];
+
+    const created = await Notification.insertMany(notifications);
+    created.forEach(publishNotification);
+    return created;
+  } catch (error) {
+    console.error('Notification error:', error);
+    return [];
+  }
+};
+
+// Tell the assignees of an OKR it was assigned to them, and its contributors
+// that they were added. On a change, pass the OKR as it was before (e.g. its
+// audit snapshot) so people already involved are not told again.
+const notifyOkrAssigned = async ({ okr, actor, previous = {} }) => {
+  await notify({
+    type: 'okr_assigned',
+    recipients: async () => {
+      const before = new Set(await assigneeIds(previous));
+      return (await assigneeIds(okr)).filter(id => !before.has(id));
+    },
+    actor,
+    okr,
+    message: `${fullName(actor)} assigned you the OKR "${okr.title}"`
+  });
+
+  const before = new Set(contributorIds(previous));
+  return notify({
+    type: 'okr_contributor_added',
+    recipients: contributorIds(okr).filter(id => !before.has(id)),
+    actor,
+    okr,
+    message: `${fullName(actor)} added you as a contributor to "${okr.title}"`
+  });
+};
+
+// Tell people about a new comment. Mentioned users hear about the mention, the
+// author of the comment being replied to about the reply, and the rest of the
+// OKR's audience about the comment; nobody is told twice.
+const notifyCommentAdded = async ({ okr, actor, comment, parent = null }) => {
+  const data = { commentId: comment._id, parent: parent ? parent._id : null };
+  const mentioned = comment.mentions.map(idOf);
+
+  await notifyMentioned({ okr, actor, comment, userIds: mentioned });
+
+  const replyTo = parent && !mentioned.includes(idOf(parent.author)) ? idOf(parent.author) : null;
+  if (replyTo) {
+    await notify({
+      type: 'comment_reply',
+      recipients: [replyTo],
+      actor,
+      okr,
+      message: `${fullName(actor)} replied to your comment on "${okr.title}"`,
+      data
+    });
+  }
+
+  const alreadyTold = new Set([...mentioned, replyTo]);
+  return notify({
+    type: 'okr_commented',
+    recipients: async () => (await okrAudienceIds(okr)).filter(id => !alreadyTold.has(id)),
+    actor,
+    okr,
+    message: `${fullName(actor)} commented on "${okr.title}"`,
+    data
+  });
+};
+
+// Tell users they were mentioned in a comment, e.g. newly added by an edit
+const notifyMentioned = ({ okr, actor, comment, userIds }) => notify({
+  type: 'comment_mention',
+  recipients: userIds,
+  actor,
+  okr,
+  message: `${fullName(actor)} mentioned you in a comment on "${okr.title}"`,
+  data: { commentId: comment._id }
+});
+
+// Tell the OKR's audience about a status transition, and its approvers when
+// it was submitted for approval
+const notifyOkrTransitioned = async ({ okr, actor, transition, previousStatus }) => {
+  if (transition === 'submit') {
+    await notify({
+      type: 'okr_approval_requested',
+      recipients: () => approverIds(okr),
+      actor,
+      okr,
+      message: `${fullName(actor)} submitted "${okr.title}" for approval`
+    });
+  }
+
+  const { reason } = okr.statusHistory.length > 0 ? okr.statusHistory[okr.statusHistory.length - 1] : {};
+  return notify({
+    type: 'okr_status_changed',
+    recipients: () => okrAudienceIds(okr),
+    actor,
+    okr,
+    message: `${fullName(actor)} changed "${okr.title}" from ${statusLabel(previousStatus)} to ${statusLabel(okr.status)}` +
+      (reason ? `: ${reason}` : ''),
+    data: { from: previousStatus, to: okr.status, transition, reason }
+  });
+};
+
+// Reminders from the scheduled jobs, which have no actor
+const notifyOkrDueSoon = ({ okr }) => notify({
+  type: 'okr_due_soon',
+  recipients: () => assigneeIds(okr),
+  okr,
+  message: `"${okr.title}" is due on ${okr.dueDate.toDateString()}`,
+  data: { dueDate: okr.dueDate }
+});
+
+const notifyOkrOverdue = ({ okr }) => notify({
+  type: 'okr_overdue',
+  recipients: () => okrAudienceIds(okr),
+  okr,
+  message: `"${okr.title}" is overdue; it was due on ${okr.dueDate.toDateString()}`,
+  data: { dueDate: okr.dueDate }
+});
+
+const notifyCheckInReminder = ({ okr, lastCheckInAt }) => notify({
+  type: 'check_in_reminder',
+  recipients: () => assigneeIds(okr),
+  okr,
+  message: lastCheckInAt
+    ? `"${okr.title}" has not been updated since ${lastCheckInAt.toDateString()}`
+    : `"${okr.title}" has no progress updates yet`,
+  data: { lastCheckInAt }
+});
+
+module.exports = {
+  assigneeIds,
+  notify,
+  notifyOkrAssigned,
+  notifyCommentAdded,
+  notifyMentioned,
+  notifyOkrTransitioned,
+  notifyOkrDueSoon,
+  notifyOkrOverdue,
+  notifyCheckInReminder
+};
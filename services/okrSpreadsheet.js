@@ -0,0 +1,331 @@
+const OKR = require('../models/OKR');
+const User = require('../models/User');
+const Team = require('../models/Team');
+const Cycle = require('../models/Cycle');
+const { idOf } = require('../policies');
+const { needsApproval, applyTransition } = require('../utils/okrWorkflow');
+
+// One row per key result. OKR-level columns repeat on each of an OKR's rows.
+// Imports group rows into OKRs by an optional `OKR ref` column of the
+// author's choosing, or else by title, and always create new OKRs. Exports
+// use the same columns as a starting point for an import, but importing one
+// copies its OKRs rather than updating them.
+const OKR_COLUMNS = [
+  { header: 'Title', key: 'title', width: 30 },
+  { header: 'Objective', key: 'objective', width: 40 },
+  { header: 'Status', key: 'status' },
+  { header: 'Priority', key: 'priority' },
+  { header: 'Start date', key: 'start_date' },
+  { header: 'Due date', key: 'due_date' },
+  { header: 'Assignee', key: 'assignee', width: 28 },
+  { header: 'Team', key: 'team' },
+  { header: 'Cycle', key: 'cycle' },
+  { header: 'Progress', key: 'progress' },
+  { header: 'KR description', key: 'kr_description', width: 40 },
+  { header: 'KR metric type', key: 'kr_metric_type' },
+  { header: 'KR unit', key: 'kr_unit' },
+  { header: 'KR start value', key: 'kr_start_value' },
+  { header: 'KR target value', key: 'kr_target_value' },
+  { header: 'KR current value', key: 'kr_current_value' },
+  { header: 'KR weight', key: 'kr_weight' },
+  { header: 'KR progress', key: 'kr_progress' },
+  { header: 'KR confidence', key: 'kr_confidence' }
+];
+
+const USER_COLUMNS = [
+  { header: 'First name', key: 'first_name' },
+  { header: 'Last name', key: 'last_name' },
+  { header: 'Email', key: 'email', width: 30 },
+  { header: 'Role', key: 'role' },
+  { header: 'Department', key: 'department', width: 24 },
+  { header: 'Team', key: 'team', width: 24 },
+  { header: 'Joined', key: 'joined' }
+];
+
+const IMPORT_STATUSES = ['draft', 'active'];
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Columns describing the OKR rather than one of its key results
+const OKR_FIELDS = ['title', 'objective', 'status', 'priority', 'start_date', 'due_date', 'assignee', 'team', 'cycle'];
+
+const fullName = (user) => `${user.firstName} ${user.lastName}`;
+const nameKey = (value) => String(value).trim().toLowerCase().replace(/\s+/g, ' ');
+
+const toDate = (value) => {
+  if (value instanceof Date) return value;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const toNumber = (value) => {
+  if (typeof value === 'number') return value;
+  const number = Number(String(value).replace(/,/g, ''));
+  return isNaN(number) ? null : number;
+};
+
+// Index of the organization's users, teams and cycles by email or name, so
+// rows can refer to them the way people write them in a spreadsheet
+const loadLookups = async (organization) => {
+  const organizationId = idOf(organization);
+  const [users, teams, cycles] = await Promise.all([
+    User.find({ organization: organizationId, isActive: true }).select('firstName lastName email'),
+    Team.find({ organization: organizationId, isActive: true }).select('name'),
+    Cycle.find({ organization: organizationId, isActive: true }).select('name state')
+  ]);
+
+  const byName = (docs, getName) => docs.reduce((index, doc) => {
+    const key = nameKey(getName(doc));
+    index.set(key, [...(index.get(key) || []), doc]);
+    return index;
+  }, new Map());
+
+  return {
+    usersByEmail: new Map(users.map(user => [user.email, user])),
+    usersByName: byName(users, fullName),
+    teamsByName: byName(teams, team => team.name),
+    cyclesByName: byName(cycles, cycle => cycle.name)
+  };
+};
+
+// Find exactly one match for a name, or explain why not
+const findOne = (index, value, label) => {
+  const matches = index.get(nameKey(value)) || [];
+  if (matches.length === 0) return { error: `${label} "${value}" not found` };
+  if (matches.length > 1) return { error: `${label} "${value}" matches more than one ${label.toLowerCase()}` };
+  return { match: matches[0] };
+};
+
+const groupRows = (rows) => {
+  const groups = new Map();
+  rows.forEach(row => {
+    const key = row.okr_ref !== undefined ? `ref:${row.okr_ref}` : `title:${nameKey(row.title || '')}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
+  });
+  return [...groups.values()];
+};
+
+const buildKeyResult = (row, addError) => {
+  const keyResult = { description: row.kr_description };
+
+  if (row.kr_metric_type !== undefined) {
+    if (!OKR.METRIC_TYPES.includes(row.kr_metric_type)) {
+      addError(row, 'kr_metric_type', `Metric type must be one of ${OKR.METRIC_TYPES.join(', ')}`);
+    }
+    keyResult.metricType = row.kr_metric_type;
+  }
+  if (row.kr_unit !== undefined) keyResult.unit = String(row.kr_unit);
+  if (row.kr_confidence !== undefined) keyResult.confidence = row.kr_confidence;
+
+  [
+    ['kr_start_value', 'startValue'],
+    ['kr_target_value', 'targetValue'],
+    ['kr_current_value', 'currentValue'],
+    ['kr_weight', 'weight'],
+    ['kr_progress', 'progress']
+  ].forEach(([column, field]) => {
+    if (row[column] === undefined) return;
+    const number = toNumber(row[column]);
+    if (number === null) {
+      addError(row, column, `${column} must be a number`);
+    } else {
+      keyResult[field] = number;
+    }
+  });
+
+  return keyResult;
+};
+
+// Turn spreadsheet rows into unsaved OKRs for `user`, the same way
+// `POST /api/okrs` would create them. Returns the OKRs together with every
+// problem found, each tied to the row and column it came from.
+const buildOkrsFromRows = async (rows, user) => {
+  const errors = [];
+  const addError = (row, field, message) => errors.push({ row: row._row, field, message });
+
+  const lookups = await loadLookups(user.organization);
+  const okrs = [];
+
+  for (const group of groupRows(rows)) {
+    const [first] = group;
+    const errorCount = errors.length;
+
+    // Every row of an OKR must agree on the OKR-level columns it fills in
+    const fields = {};
+    OKR_FIELDS.forEach(field => {
+      group.forEach(row => {
+        if (row[field] === undefined) return;
+        if (fields[field] === undefined) {
+          fields[field] = row[field];
+        } else if (String(fields[field]) !== String(row[field])) {
+          addError(row, field, `Conflicts with "${fields[field]}" given earlier for this OKR`);
+        }
+      });
+    });
+
+    if (!fields.title) addError(first, 'title', 'Title is required');
+    if (!fields.objective) addError(first, 'objective', 'Objective is required');
+
+    const dueDate = fields.due_date !== undefined ? toDate(fields.due_date) : null;
+    if (!dueDate) addError(first, 'due_date', 'A valid due date is required');
+
+    const startDate = fields.start_date !== undefined ? toDate(fields.start_date) : undefined;
+    if (startDate === null) addError(first, 'start_date', 'Start date must be a valid date');
+
+    const status = fields.status !== undefined ? nameKey(fields.status) : 'draft';
+    if (!IMPORT_STATUSES.includes(status)) {
+      addError(first, 'status', `Imported OKRs can only be ${IMPORT_STATUSES.join(' or ')}`);
+    }
+
+    const priority = fields.priority !== undefined ? nameKey(fields.priority) : 'medium';
+    if (!PRIORITIES.includes(priority)) {
+      addError(first, 'priority', `Priority must be one of ${PRIORITIES.join(', ')}`);
+    }
+
+    // Assign to the named person, otherwise to the named team
+    let assignedTo = null;
+    if (fields.assignee !== undefined) {
+      const value = String(fields.assignee);
+      const { match, error } = value.includes('@')
+        ? { match: lookups.usersByEmail.get(value.toLowerCase()), error: `User "${value}" not found` }
+        : findOne(lookups.usersByName, value, 'User');
+      if (match) {
+        assignedTo = { type: 'user', user: match._id };
+      } else {
+        addError(first, 'assignee', error);
+      }
+    }
+
+    if (fields.team !== undefined) {
+      const { match, error } = findOne(lookups.teamsByName, fields.team, 'Team');
+      if (!match) {
+        addError(first, 'team', error);
+      } else if (!assignedTo && fields.assignee === undefined) {
+        assignedTo = { type: 'team', team: match._id };
+      }
+    }
+
+    if (!assignedTo && fields.assignee === undefined && fields.team === undefined) {
+      addError(first, 'assignee', 'An assignee or a team is required');
+    }
+
+    let cycle = null;
+    if (fields.cycle !== undefined) {
+      const { match, error } = findOne(lookups.cyclesByName, fields.cycle, 'Cycle');
+      if (!match) {
+        addError(first, 'cycle', error);
+      } else if (match.state === 'closed') {
+        addError(first, 'cycle', `Cycle "${fields.cycle}" is closed`);
+      } else {
+        cycle = match._id;
+      }
+    }
+
+    const keyResultRows = group.filter(row => row.kr_description !== undefined);
+    group
+      .filter(row => row.kr_description === undefined && Object.keys(row).some(key => key.startsWith('kr_')))
+      .forEach(row => addError(row, 'kr_description', 'Key result description is required'));
+    if (keyResultRows.length === 0) {
+      addError(first, 'kr_description', 'At least one key result is required');
+    }
+
+    const keyResults = keyResultRows.map(row => buildKeyResult(row, addError));
+    const weightError = OKR.keyResultWeightError(keyResults);
+    if (weightError) addError(first, 'kr_weight', weightError);
+
+    const okr = new OKR({
+      title: fields.title,
+      objective: fields.objective,
+      keyResults,
+      assignedTo,
+      assignedBy: user._id,
+      organization: user.organization,
+      department: user.department,
+      team: user.team,
+      priority,
+      startDate,
+      dueDate,
+      cycle
+    });
+    okr.requiresApproval = needsApproval(user, okr);
+
+    // Imported OKRs start as drafts; `active` ones are activated as if by hand
+    if (status === 'active') {
+      if (okr.requiresApproval) {
+        addError(first, 'status', 'Your own OKRs need approval before they are active; import them as draft');
+      } else {
+        applyTransition(okr, 'activate', { by: user._id, reason: 'Imported as active' });
+      }
+    }
+
+    // Schema rules (metric targets, weights, ...) are reported against the
+    // OKR's first row, once the row-level checks pass
+    if (errors.length === errorCount) {
+      try {
+        await okr.validate();
+      } catch (error) {
+        if (error.name !== 'ValidationError') throw error;
+        Object.entries(error.errors).forEach(([path, detail]) => addError(first, path, detail.message));
+      }
+    }
+
+    okrs.push({ rows: group.map(row => row._row), okr });
+  }
+
+  return { okrs, errors };
+};
+
+const dateOnly = (date) => (date ? date.toISOString().slice(0, 10) : null);
+
+// Flatten OKRs (with assignee, team and cycle populated) into export rows
+const okrExportRows = (okrs) => okrs.flatMap(okr => {
+  const assignedUser = okr.assignedTo && okr.assignedTo.type === 'user' ? okr.assignedTo.user : null;
+  const assignedTeam = okr.assignedTo && okr.assignedTo.type === 'team' ? okr.assignedTo.team : null;
+
+  const base = {
+    title: okr.title,
+    objective: okr.objective,
+    status: okr.status,
+    priority: okr.priority,
+    start_date: dateOnly(okr.startDate),
+    due_date: dateOnly(okr.dueDate),
+    assignee: assignedUser ? assignedUser.email : null,
+    team: assignedTeam ? assignedTeam.name : null,
+    cycle: okr.cycle ? okr.cycle.name : null,
+    progress: okr.calculateProgress()
+  };
+
+  if (okr.keyResults.length === 0) return [base];
+
+  return okr.keyResults.map(kr => ({
+    ...base,
+    kr_description: kr.description,
+    kr_metric_type: kr.metricType,
+    kr_unit: kr.unit,
+    kr_start_value: kr.startValue,
+    kr_target_value: kr.targetValue,
+    kr_current_value: kr.currentValue,
+    kr_weight: kr.weight,
+    kr_progress: kr.progress,
+    kr_confidence: kr.confidence
+  }));
+});
+
+// Users (with department and team populated) as export rows
+const userExportRows = (users) => users.map(user => ({
+  first_name: user.firstName,
+  last_name: user.lastName,
+  email: user.email,
+  role: user.role,
+  department: user.department ? user.department.name : null,
+  team: user.team ? user.team.name : null,
+  joined: dateOnly(user.createdAt)
+}));
+
+module.exports = {
+  OKR_COLUMNS,
+  USER_COLUMNS,
+  buildOkrsFromRows,
+  okrExportRows,
+  userExportRows
+};
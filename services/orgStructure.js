@@ -0,0 +1,314 @@
+const mongoose = require('mongoose');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const OKR = require('../models/OKR');
+const TeamMembership = require('../models/TeamMembership');
+const { snapshot, recordAudit } = require('./audit');
+const { applyTransition } = require('../utils/okrWorkflow');
+const { idOf, sameId } = require('../policies');
+
+// Statuses of OKRs that are still being worked on
+const OPEN_STATUSES = ['draft', 'pending_approval', 'active'];
+
+// Changes to departments, teams and the users and OKRs under them. Every
+// function takes a context of `{ session, actor, changes }`: writes go through
+// the session (null outside a transaction), and each changed document is
+// added to `changes` so it can be audited once the change is done.
+
+// Whether the server can run transactions: replica sets and sharded clusters
+// can, a standalone server cannot. Asked once and remembered.
+let transactionSupport = null;
+
+const supportsTransactions = () => {
+  if (!transactionSupport) {
+    transactionSupport = mongoose.connection.db.admin().command({ hello: 1 })
+      .then(hello => Boolean(hello.setName || hello.msg === 'isdbgrid'))
+      .catch(error => {
+        transactionSupport = null;
+        throw error;
+      });
+  }
+  return transactionSupport;
+};
+
+// Raised for a change that needs a transaction when the server cannot run
+// one; routes answer it with 503
+class TransactionsUnavailableError extends Error {
+  constructor() {
+    super('Transactions required: MongoDB must run as a replica set for this change');
+    this.name = 'TransactionsUnavailableError';
+  }
+}
+
+// Run `fn(ctx)`, then audit everything it changed. Changes spanning several
+// documents run in a transaction, and are refused on a standalone server
+// rather than left half done by a failure; pass `transaction: false` for
+// changes to a single document, which are written without one.
+const runStructureChange = async (req, fn, { transaction = true } = {}) => {
+  let changes;
+  let result;
+
+  if (transaction) {
+    if (!await supportsTransactions()) throw new TransactionsUnavailableError();
+
+    // The callback is retried on transient errors, so it starts afresh each time
+    await mongoose.connection.transaction(async (session) => {
+      changes = [];
+      result = await fn({ session, actor: req.user, changes });
+    });
+  } else {
+    changes = [];
+    result = await fn({ session: null, actor: req.user, changes });
+  }
+
+  for (const change of changes) {
+    await recordAudit({ req, ...change });
+  }
+
+  return result;
+};
+
+// Save `doc` in the context's session and queue its audit entry
+const saveTracked = async (doc, entityType, before, ctx, { action = 'update', metadata } = {}) => {
+  await doc.save({ session: ctx.session });
+  ctx.changes.push({
+    entityType,
+    entityId: doc._id,
+    organization: doc.organization,
+    action,
+    before,
+    after: snapshot(entityType, doc),
+    metadata
+  });
+  return doc;
+};
+
+// Apply `update` to `doc`, save it and queue its audit entry
+const updateTracked = (doc, entityType, update, ctx, options) => {
+  const before = snapshot(entityType, doc);
+  update(doc);
+  return saveTracked(doc, entityType, before, ctx, options);
+};
+
+const openOkrsAssignedTo = (teamIds, session) => OKR.find({
+  'assignedTo.type': 'team',
+  'assignedTo.team': { $in: teamIds },
+  status: { $in: OPEN_STATUSES },
+  isActive: true
+}).session(session);
+
+const countOpenOkrsAssignedTo = (teamIds) => OKR.countDocuments({
+  'assignedTo.type': 'team',
+  'assignedTo.team': { $in: teamIds },
+  status: { $in: OPEN_STATUSES },
+  isActive: true
+});
+
+// Delete a membership and queue its audit entry
+const deleteMembership = async (membership, ctx, metadata) => {
+  await membership.deleteOne({ session: ctx.session });
+  ctx.changes.push({
+    entityType: 'TeamMembership',
+    entityId: membership._id,
+    organization: membership.organization,
+    action: 'delete',
+    before: snapshot('TeamMembership', membership),
+    metadata
+  });
+};
+
+// Put `user` on `team` with `role`, or give them that role if they are on it
+// already. A user without a primary team (`User.team`) gets this one, and
+// its department if they have none.
+const addTeamMember = async (team, user, role, ctx, metadata) => {
+  let membership = await TeamMembership.findOne({ team: team._id, user: user._id }).session(ctx.session);
+
+  if (membership) {
+    await updateTracked(membership, 'TeamMembership', doc => { doc.role = role; }, ctx, { metadata });
+  } else {
+    membership = new TeamMembership({
+      team: team._id,
+      user: user._id,
+      organization: team.organization,
+      role,
+      addedBy: ctx.actor._id
+    });
+    await saveTracked(membership, 'TeamMembership', null, ctx, { action: 'create', metadata });
+  }
+
+  if (!user.team) {
+    await updateTracked(user, 'User', doc => {
+      doc.team = team._id;
+      if (!doc.department) doc.department = team.department;
+    }, ctx, { metadata });
+  }
+
+  return membership;
+};
+
+// Change the role of a membership. Demoting the lead named on the team also
+// takes them off the team as its lead.
+const changeMemberRole = async (membership, team, role, ctx) => {
+  if (role === 'member' && sameId(team.teamLead, membership.user)) {
+    await updateTracked(team, 'Team', doc => { doc.teamLead = null; }, ctx);
+  }
+  return updateTracked(membership, 'TeamMembership', doc => { doc.role = role; }, ctx);
+};
+
+// Take a user off a team. If it was their primary team they are left
+// without one; if they were its named lead, so is the team. `user` is null
+// when the membership outlived them.
+const removeTeamMember = async (membership, team, user, ctx) => {
+  await deleteMembership(membership, ctx);
+
+  if (sameId(team.teamLead, membership.user)) {
+    await updateTracked(team, 'Team', doc => { doc.teamLead = null; }, ctx);
+  }
+  if (user && sameId(user.team, team._id)) {
+    await updateTracked(user, 'User', doc => { doc.team = null; }, ctx);
+  }
+};
+
+// Keep memberships in line with a change of the lead named on a team: the new
+// lead is put on the team as a lead, the previous one stays on as a member
+const syncTeamLead = async (team, previousLead, ctx) => {
+  if (sameId(previousLead, team.teamLead)) return;
+
+  if (previousLead) {
+    const previous = await TeamMembership.findOne({ team: team._id, user: idOf(previousLead), role: 'lead' }).session(ctx.session);
+    if (previous) {
+      await updateTracked(previous, 'TeamMembership', doc => { doc.role = 'member'; }, ctx);
+    }
+  }
+
+  if (team.teamLead) {
+    const lead = await User.findById(idOf(team.teamLead)).session(ctx.session);
+    await addTeamMember(team, lead, 'lead', ctx);
+  }
+};
+
+// Keep memberships in line with a change of a user's primary team: they
+// leave the previous team and join the new one
+const syncPrimaryTeam = async (user, previousTeam, ctx, metadata) => {
+  if (sameId(previousTeam, user.team)) return;
+
+  if (previousTeam) {
+    const previous = await TeamMembership.findOne({ team: idOf(previousTeam), user: user._id }).session(ctx.session);
+    if (previous) await deleteMembership(previous, ctx, metadata);
+  }
+
+  if (user.team) {
+    const team = await Team.findById(idOf(user.team)).session(ctx.session);
+    const current = await TeamMembership.findOne({ team: team._id, user: user._id }).session(ctx.session);
+    if (!current) await addTeamMember(team, user, 'member', ctx, metadata);
+  }
+};
+
+// Move a team to another department. Its members move with it.
+const moveTeam = async (team, department, ctx, metadata) => {
+  if (idOf(team.department) === idOf(department)) return team;
+
+  const members = await User.find({ team: team._id }).session(ctx.session);
+  for (const member of members) {
+    await updateTracked(member, 'User', user => { user.department = idOf(department); }, ctx, { metadata });
+  }
+
+  return updateTracked(team, 'Team', doc => { doc.department = idOf(department); }, ctx, { metadata });
+};
+
+// Move a user to a department and, optionally, one of its teams, which
+// replaces their primary team
+const moveUser = async (user, { department, team }, ctx, metadata) => {
+  const previousTeam = user.team;
+
+  await updateTracked(user, 'User', doc => {
+    doc.department = idOf(department);
+    if (team !== undefined) doc.team = team ? idOf(team) : null;
+  }, ctx, { metadata });
+
+  await syncPrimaryTeam(user, previousTeam, ctx, metadata);
+  return user;
+};
+
+// Archive a team:
+// - its members are taken off it; those for whom it was the primary team are
+//   left without one, but stay in their department;
+// - its open OKRs move to `moveOkrsTo`, or are cancelled with `cancelOkrs`;
+//   check with `countOpenOkrsAssignedTo` that one is given when needed;
+// - closed OKRs, and OKRs merely created by its members, keep pointing at it
+//   as a record of the past.
+const archiveTeam = async (team, { moveOkrsTo, cancelOkrs = false }, ctx) => {
+  const metadata = { cascade: 'team_archived', team: team._id };
+
+  const members = await User.find({ team: team._id }).session(ctx.session);
+  for (const member of members) {
+    await updateTracked(member, 'User', user => { user.team = null; }, ctx, { metadata });
+  }
+
+  const memberships = await TeamMembership.find({ team: team._id }).session(ctx.session);
+  for (const membership of memberships) {
+    await deleteMembership(membership, ctx, metadata);
+  }
+
+  const okrs = await openOkrsAssignedTo([team._id], ctx.session);
+  for (const okr of okrs) {
+    await updateTracked(okr, 'OKR', doc => {
+      if (moveOkrsTo) {
+        doc.assignedTo = { type: 'team', team: idOf(moveOkrsTo) };
+      } else if (cancelOkrs) {
+        applyTransition(doc, 'cancel', { by: ctx.actor._id, reason: `Team "${team.name}" was archived` });
+      }
+    }, ctx, { metadata });
+  }
+
+  return updateTracked(team, 'Team', doc => { doc.isActive = false; }, ctx, { action: 'archive' });
+};
+
+// Archive a department:
+// - its active teams move to `moveTeamsTo`, or with `archiveTeams` are
+//   archived as well, following the team rules (`moveOkrsTo`, `cancelOkrs`);
+// - users left in it are left without a department, and taken off the
+//   primary team they had in it;
+// - OKRs keep their department as a record of where they were created.
+const archiveDepartment = async (department, { moveTeamsTo, archiveTeams = false, moveOkrsTo, cancelOkrs }, ctx) => {
+  const metadata = { cascade: 'department_archived', department: department._id };
+
+  const teams = await Team.find({ department: department._id, isActive: true }).session(ctx.session);
+  for (const team of teams) {
+    if (moveTeamsTo) {
+      await moveTeam(team, moveTeamsTo, ctx, metadata);
+    } else if (archiveTeams) {
+      await archiveTeam(team, { moveOkrsTo, cancelOkrs }, ctx);
+    }
+  }
+
+  const users = await User.find({ department: department._id }).session(ctx.session);
+  for (const user of users) {
+    const previousTeam = user.team;
+    await updateTracked(user, 'User', doc => {
+      doc.department = null;
+      doc.team = null;
+    }, ctx, { metadata });
+    await syncPrimaryTeam(user, previousTeam, ctx, metadata);
+  }
+
+  return updateTracked(department, 'Department', doc => { doc.isActive = false; }, ctx, { action: 'archive' });
+};
+
+module.exports = {
+  OPEN_STATUSES,
+  TransactionsUnavailableError,
+  runStructureChange,
+  saveTracked,
+  updateTracked,
+  countOpenOkrsAssignedTo,
+  moveTeam,
+  moveUser,
+  addTeamMember,
+  changeMemberRole,
+  removeTeamMember,
+  syncTeamLead,
+  syncPrimaryTeam,
+  archiveTeam,
+  archiveDepartment
+};
@@ -0,0 +1,98 @@
+const { can, idOf } = require('../policies');
+
+// In-process hub for the Server-Sent Events stream (routes/events.js).
+//
+// Clients listen on channels: `org`, `okr:<id>`, `team:<id>`, plus their own
+// `user:<id>`. Every event belongs to one organization and is only written to
+// clients of that organization, whatever channels they asked for. OKR events
+// only go to clients who can see the OKR.
+
+const clients = new Set();
+let lastEventId = 0;
+
+// Register an open stream. `actor` is the scope of its user (see
+// policies/index.js), and `send(event)` writes one event to it. Returns
+// `remove()` to take the client off again and `setActor(actor)` to swap in a
+// freshly loaded scope.
+const addClient = ({ organization, user, actor, channels, send }) => {
+  const client = {
+    organization: idOf(organization),
+    user: idOf(user),
+    actor,
+    channels: new Set([...channels, `user:${idOf(user)}`]),
+    send
+  };
+
+  clients.add(client);
+  return {
+    remove: () => clients.delete(client),
+    setActor: (nextActor) => {
+      client.actor = nextActor;
+    }
+  };
+};
+
+// Deliver an event to the clients of `organization` listening on any of
+// `channels`, and passing `canReceive(client)` when it is given
+const publish = ({ organization, type, channels, data, canReceive = () => true }) => {
+  const organizationId = idOf(organization);
+  if (!organizationId) return 0;
+
+  const event = { id: ++lastEventId, type, data };
+  let delivered = 0;
+
+  clients.forEach(client => {
+    if (client.organization !== organizationId) return;
+    if (!channels.some(channel => client.channels.has(channel))) return;
+    if (!canReceive(client)) return;
+
+    try {
+      client.send(event);
+      delivered += 1;
+    } catch (error) {
+      console.error('Realtime delivery error:', error);
+    }
+  });
+
+  return delivered;
+};
+
+// Channels an OKR's events go out on: its organization, the OKR itself and
+// the teams it belongs to
+const okrChannels = (okr) => {
+  const teams = new Set([okr.team, okr.assignedTo && okr.assignedTo.team].filter(Boolean).map(idOf));
+  return ['org', `okr:${idOf(okr)}`, ...[...teams].map(team => `team:${team}`)];
+};
+
+const actorSummary = (user) => user && {
+  _id: user._id,
+  firstName: user.firstName,
+  lastName: user.lastName
+};
+
+// Publish an `okr.<action>` event (created, updated, progress, comment, deleted)
+const publishOkrEvent = (action, okr, { actor, ...data } = {}) => publish({
+  organization: okr.organization,
+  type: `okr.${action}`,
+  channels: okrChannels(okr),
+  data: { okrId: idOf(okr), actor: actorSummary(actor), ...data },
+  canReceive: client => can(client.actor, 'okr.read', okr)
+});
+
+// Push a new notification to its recipient's open streams
+const publishNotification = (notification) => publish({
+  organization: notification.organization,
+  type: 'notification.created',
+  channels: [`user:${idOf(notification.recipient)}`],
+  data: { notification }
+});
+
+const clientCount = () => clients.size;
+
+module.exports = {
+  addClient,
+  publish,
+  publishOkrEvent,
+  publishNotification,
+  clientCount
+};
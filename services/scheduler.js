@@ -0,0 +1,133 @@
+const os = require('os');
+const crypto = require('crypto');
+const Job = require('../models/Job');
+const { runWithoutTenant } = require('../utils/tenantContext');
+
+// In-process job runner. Job state lives in MongoDB, so schedules survive
+// restarts and several API instances can poll without running a job twice:
+// an instance has to claim a job's lock before running it.
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+const DEFAULT_POLL_INTERVAL = 30 * 1000;
+const DEFAULT_LOCK_TTL = 10 * 60 * 1000;
+
+const jobs = new Map();
+let timer = null;
+let polling = false;
+
+// Register a job. `schedule` turns the time the job ran into the time it is
+// next due (see utils/schedules). `run` receives `{ now }` and may return a
+// summary, which is kept on the job document. A lock older than `lockTtl` is
+// treated as left behind by a crashed instance.
+const defineJob = ({ name, schedule, run, lockTtl = DEFAULT_LOCK_TTL }) => {
+  jobs.set(name, { name, schedule, run, lockTtl });
+};
+
+// Atomically take a job's lock. Only matches when the job is not locked (or
+// its lock lapsed), so at most one instance wins. `dueBy` limits the claim to
+// jobs that are due.
+const claimJob = (job, now, dueBy) => {
+  const filter = {
+    name: job.name,
+    isActive: true,
+    $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+  };
+  if (dueBy) filter.nextRunAt = { $lte: dueBy };
+
+  return Job.findOneAndUpdate(filter, {
+    $set: {
+      lockedBy: INSTANCE_ID,
+      lockedUntil: new Date(now.getTime() + job.lockTtl),
+      lastRunAt: now
+    }
+  }, { new: true });
+};
+
+// Run a claimed job across all tenants, then record the outcome, schedule the
+// next run and release the lock
+const executeJob = async (job, now) => {
+  let result = null;
+  let error = null;
+
+  try {
+    result = await runWithoutTenant(() => job.run({ now }));
+  } catch (err) {
+    error = err;
+    console.error(`Job ${job.name} error:`, err);
+  }
+
+  await Job.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, {
+    $set: {
+      nextRunAt: job.schedule(now),
+      lockedBy: null,
+      lockedUntil: null,
+      lastFinishedAt: new Date(),
+      lastResult: result,
+      lastError: error ? error.message : null
+    },
+    $inc: { runCount: 1, failCount: error ? 1 : 0 }
+  });
+
+  return { result, error };
+};
+
+// Run every job that is due and not running elsewhere
+const poll = async () => {
+  if (polling) return;
+  polling = true;
+
+  try {
+    for (const job of jobs.values()) {
+      const now = new Date();
+      if (await claimJob(job, now, now)) {
+        await executeJob(job, now);
+      }
+    }
+  } catch (error) {
+    console.error('Scheduler poll error:', error);
+  } finally {
+    polling = false;
+  }
+};
+
+// Create the job documents that do not exist yet, then start polling
+const start = async ({ pollInterval = DEFAULT_POLL_INTERVAL } = {}) => {
+  if (timer) return;
+
+  const now = new Date();
+  for (const job of jobs.values()) {
+    await Job.updateOne(
+      { name: job.name },
+      { $setOnInsert: { nextRunAt: job.schedule(now) } },
+      { upsert: true }
+    );
+  }
+
+  timer = setInterval(poll, pollInterval);
+  timer.unref();
+  await poll();
+};
+
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+// Run a job straight away, whether or not it is due. Returns null when the
+// job is already running on some instance.
+const runJob = async (name) => {
+  const job = jobs.get(name);
+  if (!job) {
+    throw new Error(`Unknown job: ${name}`);
+  }
+
+  const now = new Date();
+  await Job.updateOne({ name }, { $setOnInsert: { nextRunAt: job.schedule(now) } }, { upsert: true });
+
+  if (!(await claimJob(job, now))) return null;
+  return executeJob(job, now);
+};
+
+const jobNames = () => [...jobs.keys()];
+
+module.exports = { defineJob, start, stop, runJob, jobNames };
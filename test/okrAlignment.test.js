@@ -0,0 +1,45 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { alignmentLevels, buildAlignmentTree } = require('../utils/okrAlignment');
+
+const okr = (id, parent = null) => ({ _id: id, parent });
+const ids = (levels) => levels.map(level => level.map(item => item._id));
+
+// Closing a cycle writes carry-over copies level by level, so a child's copy
+// can point at its parent's copy
+test('alignmentLevels puts a carried-over parent before its child', () => {
+  const parent = okr('parent');
+  const child = okr('child', 'parent');
+
+  assert.deepStrictEqual(ids(alignmentLevels([child, parent])), [['parent'], ['child']]);
+});
+
+test('alignmentLevels starts from OKRs whose parent is not in the list', () => {
+  const okrs = [
+    okr('grandchild', 'child'),
+    okr('child', 'parent'),
+    okr('parent', 'finished'),
+    okr('other')
+  ];
+
+  assert.deepStrictEqual(ids(alignmentLevels(okrs)), [['parent', 'other'], ['child'], ['grandchild']]);
+});
+
+// Stands in for an OKR document in buildAlignmentTree
+const okrDocument = (id, parent, fields) => ({
+  _id: id,
+  toJSON: () => ({ _id: id, parent, parentKeyResult: null, keyResults: [], ...fields })
+});
+
+test('buildAlignmentTree rolls progress up over the visible OKRs only', () => {
+  const okrs = [
+    okrDocument('parent', null, { progressSource: 'children', overallProgress: 0 }),
+    okrDocument('visible', 'parent', { overallProgress: 100 }),
+    okrDocument('hidden', 'parent', { overallProgress: 0 })
+  ];
+
+  const [parent] = buildAlignmentTree(okrs, { visibleIds: new Set(['parent', 'visible']) });
+
+  assert.deepStrictEqual(parent.children.map(child => child._id), ['visible']);
+  assert.strictEqual(parent.rolledUpProgress, 100);
+});
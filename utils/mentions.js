@@ -0,0 +1,21 @@
+// Mentions are written either as `@[Display Name](<userId>)`, the markup the
+// comment editor inserts, or as a bare `@someone@example.com`.
+const MARKUP_MENTION = /@\[[^\]]*\]\(([a-f\d]{24})\)/gi;
+const EMAIL_MENTION = /(?:^|[^\w.+-])@([\w.+-]+@[\w-]+(?:\.[\w-]+)+)/g;
+
+// Pull the user ids and emails mentioned in a piece of text
+const parseMentions = (text = '') => {
+  const ids = new Set();
+  const emails = new Set();
+
+  for (const match of text.matchAll(MARKUP_MENTION)) {
+    ids.add(match[1].toLowerCase());
+  }
+  for (const match of text.replace(MARKUP_MENTION, '').matchAll(EMAIL_MENTION)) {
+    emails.add(match[1].replace(/\.+$/, '').toLowerCase());
+  }
+
+  return { ids: [...ids], emails: [...emails] };
+};
+
+module.exports = { parseMentions };
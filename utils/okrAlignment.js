@@ -0,0 +1,224 @@
+const OKR = require('../models/OKR');
+
+// Walk up the parent chain of an OKR and return the ids of all its ancestors
+const findAncestorIds = async (okrId) => {
+  const ancestors = [];
+  const seen = new Set();
+  let current = await OKR.findById(okrId).select('parent');
+
+  while (current && current.parent && !seen.has(current.parent.toString())) {
+    seen.add(current.parent.toString());
+    ancestors.push(current.parent);
+    current = await OKR.findById(current.parent).select('parent');
+  }
+
+  return ancestors;
+};
+
+// Check that `parentId` can be used as the parent of `okrId`. With
+// `visibleFilter`, a parent outside it is treated as missing, so nobody can
+// align under an OKR they cannot see.
+// Returns an error message, or null when the alignment is valid.
+const validateParent = async ({ okrId, parentId, parentKeyResultId, organizationId, visibleFilter = null }) => {
+  if (!parentId) {
+    return parentKeyResultId ? 'Parent key result requires a parent OKR' : null;
+  }
+
+  const parent = await OKR.findOne(visibleFilter ? { $and: [{ _id: parentId }, visibleFilter] } : { _id: parentId })
+    .select('organization keyResults isActive');
+  if (!parent || !parent.isActive) {
+    return 'Parent OKR not found';
+  }
+
+  if (parent.organization.toString() !== organizationId.toString()) {
+    return 'Parent OKR must belong to the same organization';
+  }
+
+  if (parentKeyResultId && !parent.keyResults.id(parentKeyResultId)) {
+    return 'Parent key result not found on parent OKR';
+  }
+
+  if (okrId) {
+    if (parentId.toString() === okrId.toString()) {
+      return 'An OKR cannot be its own parent';
+    }
+
+    const ancestorIds = await findAncestorIds(parentId);
+    if (ancestorIds.some(id => id.toString() === okrId.toString())) {
+      return 'Parent OKR cannot be one of its own descendants';
+    }
+  }
+
+  return null;
+};
+
+// Weight of a child in its parent's rollup: 1 when it supports the objective
+// as a whole, otherwise the weight of the parent key result it supports,
+// shared with the other children supporting that key result so each key
+// result counts once however many OKRs back it
+const alignmentWeight = (node, child) => {
+  const kr = child.parentKeyResult &&
+    node.keyResults.find(keyResult => keyResult._id.toString() === child.parentKeyResult.toString());
+  if (!kr) return 1;
+
+  const supporting = node.children.filter(sibling =>
+    sibling.parentKeyResult && sibling.parentKeyResult.toString() === kr._id.toString()
+  ).length;
+  return (kr.weight != null ? kr.weight : 1) / supporting;
+};
+
+// Progress of a tree node, rolled up from its children when the OKR asks for it
+const rollUpProgress = (node) => {
+  const children = node.children.map(child => ({
+    progress: rollUpProgress(child),
+    weight: alignmentWeight(node, child)
+  }));
+  const totalWeight = children.reduce((sum, child) => sum + child.weight, 0);
+
+  if (node.progressSource === 'children' && totalWeight > 0) {
+    node.rolledUpProgress = Math.round(
+      children.reduce((sum, child) => sum + child.progress * child.weight, 0) / totalWeight
+    );
+  } else {
+    node.rolledUpProgress = node.overallProgress;
+  }
+
+  return node.rolledUpProgress;
+};
+
+// Drop every node that is not in `includedIds`, keeping the rest of the tree intact
+const pruneTree = (nodes, includedIds) => nodes
+  .filter(node => includedIds.has(node._id.toString()))
+  .map(node => ({ ...node, children: pruneTree(node.children, includedIds) }));
+
+// Take the nodes not in `visibleIds` out of a built tree, moving their visible
+// descendants up into their place
+const hideFromTree = (nodes, visibleIds) => nodes.flatMap(node => {
+  const children = hideFromTree(node.children, visibleIds);
+  if (!visibleIds.has(node._id.toString())) return children;
+
+  return [{
+    ...node,
+    keyResults: node.keyResults.map(kr => ({
+      ...kr,
+      alignedChildren: kr.alignedChildren.filter(id => visibleIds.has(id.toString()))
+    })),
+    children
+  }];
+});
+
+// Build a nested alignment tree out of a flat list of OKR documents.
+// OKRs whose parent is not part of the list become roots. OKRs not in
+// `visibleIds` are hidden first, so rolled-up progress only reflects what
+// the caller can see. It is then rolled up over every remaining OKR before
+// the tree is narrowed down to `includedIds`, so a partial view never
+// under-reports its ancestors.
+const buildAlignmentTree = (okrs, { includedIds = null, visibleIds = null } = {}) => {
+  const nodes = new Map();
+
+  okrs.forEach(okr => {
+    nodes.set(okr._id.toString(), { ...okr.toJSON(), children: [] });
+  });
+
+  let roots = [];
+  nodes.forEach(node => {
+    const parentNode = node.parent && nodes.get(node.parent.toString());
+    if (parentNode) {
+      parentNode.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  nodes.forEach(node => {
+    node.keyResults = node.keyResults.map(kr => ({
+      ...kr,
+      alignedChildren: node.children
+        .filter(child => child.parentKeyResult && child.parentKeyResult.toString() === kr._id.toString())
+        .map(child => child._id)
+    }));
+  });
+
+  if (visibleIds) roots = hideFromTree(roots, visibleIds);
+  roots.forEach(rollUpProgress);
+  return includedIds ? pruneTree(roots, includedIds) : roots;
+};
+
+// Ids of the `selected` OKRs plus everything above and below them in `okrs`
+const collectLineageIds = (okrs, selected) => {
+  const byId = new Map(okrs.map(okr => [okr._id.toString(), okr]));
+  const childrenOf = new Map();
+
+  okrs.forEach(okr => {
+    if (!okr.parent) return;
+    const key = okr.parent.toString();
+    if (!childrenOf.has(key)) childrenOf.set(key, []);
+    childrenOf.get(key).push(okr);
+  });
+
+  // The two walks keep their own visited sets: a node reached as the ancestor
+  // of one selected OKR must still have its children expanded for another
+  const ancestors = new Set();
+  const descendants = new Set();
+
+  selected.forEach(okr => {
+    let current = okr;
+    while (current && !ancestors.has(current._id.toString())) {
+      ancestors.add(current._id.toString());
+      current = current.parent && byId.get(current.parent.toString());
+    }
+
+    const stack = [...(childrenOf.get(okr._id.toString()) || [])];
+    while (stack.length > 0) {
+      const child = stack.pop();
+      const key = child._id.toString();
+      if (descendants.has(key)) continue;
+      descendants.add(key);
+      stack.push(...(childrenOf.get(key) || []));
+    }
+  });
+
+  return new Set([...ancestors, ...descendants]);
+};
+
+// Group `okrs` into levels so that every OKR comes after its parent when the
+// parent is among them: first those whose parent is not in the list, then
+// their children, and so on. Used to write copies parents first.
+const alignmentLevels = (okrs) => {
+  const ids = new Set(okrs.map(okr => okr._id.toString()));
+  const levels = [];
+
+  let level = okrs.filter(okr => !okr.parent || !ids.has(okr.parent.toString()));
+  while (level.length > 0) {
+    levels.push(level);
+    const levelIds = new Set(level.map(okr => okr._id.toString()));
+    level = okrs.filter(okr => okr.parent && levelIds.has(okr.parent.toString()));
+  }
+
+  return levels;
+};
+
+// Locate a node in an alignment tree, along with the chain of ancestors leading to it
+const findInTree = (roots, id, path = []) => {
+  for (const node of roots) {
+    if (node._id.toString() === id.toString()) {
+      return { node, path };
+    }
+
+    const found = findInTree(node.children, id, [...path, node]);
+    if (found) return found;
+  }
+
+  return null;
+};
+
+module.exports = {
+  findAncestorIds,
+  validateParent,
+  rollUpProgress,
+  buildAlignmentTree,
+  collectLineageIds,
+  alignmentLevels,
+  hideFromTree,
+  findInTree
+};
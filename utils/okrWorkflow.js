@@ -0,0 +1,103 @@
+// The OKR status lifecycle. Each transition lists the statuses it can start
+// from, the status it leads to and the permission it needs; `status` is never
+// set any other way.
+const TRANSITIONS = {
+  submit: { from: ['draft'], to: 'pending_approval', permission: 'okr.update' },
+  withdraw: { from: ['pending_approval'], to: 'draft', permission: 'okr.update' },
+  approve: { from: ['pending_approval'], to: 'active', permission: 'okr.approve' },
+  reject: { from: ['pending_approval'], to: 'draft', permission: 'okr.approve', requiresReason: true },
+  // An OKR that needs approval can only skip the review at an approver's hands
+  activate: { from: ['draft'], to: 'active', permission: okr => (okr.requiresApproval ? 'okr.approve' : 'okr.update') },
+  complete: { from: ['active'], to: 'completed', permission: 'okr.update' },
+  cancel: { from: ['draft', 'pending_approval', 'active'], to: 'cancelled', permission: 'okr.update', requiresReason: true },
+  reopen: { from: ['completed'], to: 'active', permission: 'okr.update', requiresReason: true },
+  reinstate: { from: ['cancelled'], to: 'draft', permission: 'okr.update' }
+};
+
+const TRANSITION_NAMES = Object.keys(TRANSITIONS);
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+// Whether a new OKR created by `user` must be approved before it is active:
+// an employee (not a team lead or admin) assigning it to themselves
+const needsApproval = (user, okr) => user.role === 'user' &&
+  Boolean(okr.assignedTo) &&
+  okr.assignedTo.type === 'user' &&
+  idOf(okr.assignedTo.user) === idOf(user._id);
+
+// Whether `okr` needs approval once `user` has assigned it to `assignedTo`.
+// Out of draft it keeps needing approval if it did, since it has already been
+// reviewed or is waiting to be.
+const needsApprovalAfterReassign = (user, okr, assignedTo) =>
+  needsApproval(user, { assignedTo }) || (okr.requiresApproval && okr.status !== 'draft');
+
+// Check that `user` can assign `okr` to `assignedTo`. An OKR that went ahead
+// without approval cannot be handed to someone it would have needed approval
+// for, or an employee could activate an OKR for a colleague and then take it
+// over. Returns an error message or null.
+const checkReassignment = (user, okr, assignedTo) => {
+  if (['draft', 'pending_approval'].includes(okr.status) || okr.requiresApproval) return null;
+  return needsApproval(user, { assignedTo })
+    ? `An OKR that is ${okr.status} without approval cannot be assigned to yourself`
+    : null;
+};
+
+// The permission `name` needs on `okr`
+const transitionPermission = (name, okr) => {
+  const { permission } = TRANSITIONS[name];
+  return typeof permission === 'function' ? permission(okr) : permission;
+};
+
+// Transitions that can start from the OKR's current status
+const availableTransitions = (okr) => TRANSITION_NAMES.filter(name => TRANSITIONS[name].from.includes(okr.status));
+
+// Check that `name` can be applied to `okr` now. Returns an error message or null.
+const checkTransition = (okr, name, { reason } = {}) => {
+  const transition = TRANSITIONS[name];
+  if (!transition) return `Unknown transition: ${name}`;
+
+  if (!transition.from.includes(okr.status)) {
+    return `Cannot ${name} an OKR that is ${okr.status.replace(/_/g, ' ')}`;
+  }
+  if (transition.requiresReason && !(reason && reason.trim())) {
+    return `A reason is required to ${name} an OKR`;
+  }
+  return null;
+};
+
+// Move `okr` through transition `name` and record it in its status history.
+// Call `checkTransition` first; this does not save the OKR.
+const applyTransition = (okr, name, { by, reason, at = new Date() } = {}) => {
+  const from = okr.status;
+  const { to } = TRANSITIONS[name];
+
+  okr.status = to;
+  if (to === 'completed') {
+    okr.completedDate = at;
+  } else if (from === 'completed') {
+    okr.completedDate = null;
+  }
+
+  okr.statusHistory.push({
+    transition: name,
+    from,
+    to,
+    reason: reason ? reason.trim() : undefined,
+    by,
+    at
+  });
+
+  return okr;
+};
+
+module.exports = {
+  TRANSITIONS,
+  TRANSITION_NAMES,
+  needsApproval,
+  needsApprovalAfterReassign,
+  checkReassignment,
+  transitionPermission,
+  availableTransitions,
+  checkTransition,
+  applyTransition
+};
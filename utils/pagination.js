@@ -0,0 +1,89 @@
+const { query } = require('express-validator');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Validator for the `sort` query param: a comma-separated list of fields, each
+// optionally prefixed with `-` for descending order, e.g. `sort=-dueDate,title`
+const sortValidator = (sortFields) => query('sort').optional().custom(value => {
+  const invalid = value.split(',').map(field => field.replace(/^-/, '')).filter(field => !sortFields.includes(field));
+  if (invalid.length > 0) {
+    throw new Error(`Cannot sort by ${invalid.join(', ')}. Allowed: ${sortFields.join(', ')}`);
+  }
+  return true;
+});
+
+// Validators for `page`, `limit` and `sort` query params
+const paginationValidators = (sortFields, { maxLimit = MAX_LIMIT } = {}) => [
+  query('page').optional().isInt({ min: 1 }).withMessage('Page must be a positive number'),
+  query('limit').optional().isInt({ min: 1, max: maxLimit }).withMessage(`Limit must be between 1 and ${maxLimit}`),
+  sortValidator(sortFields)
+];
+
+// Validators for an optional `<name>From`/`<name>To` date range
+const dateRangeValidators = (name) => [
+  query(`${name}From`).optional().isISO8601().withMessage(`${name}From must be a valid date`),
+  query(`${name}To`).optional().isISO8601().withMessage(`${name}To must be a valid date`)
+];
+
+// Whether the request asks for a page with `page` or `limit`
+const isPaged = (req) => req.query.page !== undefined || req.query.limit !== undefined;
+
+// Turn validated query params into page, limit, skip and a Mongo sort object.
+// With `unpaged`, for listings that predate paging, a request that does not
+// ask for a page gets everything: limit 0 means no limit to Mongo.
+const parsePagination = (req, { defaultSort, defaultLimit = DEFAULT_LIMIT, unpaged = false }) => {
+  const page = parseInt(req.query.page, 10) || 1;
+  const limit = unpaged && !isPaged(req) ? 0 : parseInt(req.query.limit, 10) || defaultLimit;
+
+  let sort = defaultSort;
+  if (req.query.sort) {
+    sort = req.query.sort.split(',').reduce((fields, field) => {
+      if (field.startsWith('-')) {
+        fields[field.slice(1)] = -1;
+      } else {
+        fields[field] = 1;
+      }
+      return fields;
+    }, {});
+  }
+
+  return { page, limit, skip: (page - 1) * limit, sort };
+};
+
+// Add a `<name>From`/`<name>To` query range on `field` to a Mongo filter
+const applyDateRange = (filter, req, name, field) => {
+  const from = req.query[`${name}From`];
+  const to = req.query[`${name}To`];
+  if (!from && !to) return filter;
+
+  filter[field] = {};
+  if (from) filter[field].$gte = new Date(from);
+  if (to) filter[field].$lte = new Date(to);
+  return filter;
+};
+
+const paginationMeta = ({ page, limit }, total) => ({
+  page,
+  limit,
+  total,
+  pages: Math.ceil(total / limit)
+});
+
+// Send a listing that predates paging. Clients asking for a page or limit
+// get `{ [key]: items, pagination }`; older clients that ask for neither keep
+// getting the bare array of every item (see `unpaged` in parsePagination).
+const sendPage = (req, res, key, items, pagination, total) => {
+  if (!isPaged(req)) return res.json(items);
+  res.json({ [key]: items, pagination: paginationMeta(pagination, total) });
+};
+
+module.exports = {
+  sortValidator,
+  paginationValidators,
+  dateRangeValidators,
+  parsePagination,
+  applyDateRange,
+  paginationMeta,
+  sendPage
+};
@@ -0,0 +1,28 @@
+// Schedules for background jobs. Each returns a function that, given the time
+// a job last ran, gives the next time it is due. Times are in UTC.
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Run every `ms` milliseconds
+const every = (ms) => (from) => new Date(from.getTime() + ms);
+
+// Run once a day at `hour:minute`
+const dailyAt = (hour, minute = 0) => (from) => {
+  const next = new Date(from);
+  next.setUTCHours(hour, minute, 0, 0);
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 1);
+  return next;
+};
+
+// Run once a week on `day` (0 = Sunday) at `hour:minute`
+const weeklyAt = (day, hour, minute = 0) => (from) => {
+  const next = new Date(from);
+  next.setUTCHours(hour, minute, 0, 0);
+  next.setUTCDate(next.getUTCDate() + ((day - next.getUTCDay() + 7) % 7));
+  if (next <= from) next.setUTCDate(next.getUTCDate() + 7);
+  return next;
+};
+
+module.exports = { MINUTE, HOUR, DAY, every, dailyAt, weeklyAt };
@@ -0,0 +1,82 @@
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+const { generateToken, hashToken } = require('./tokens');
+
+const REFRESH_TOKEN_EXPIRE_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRE_DAYS, 10) || 30;
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+const signAccessToken = (user, session) => jwt.sign(
+  { userId: user._id, sessionId: session._id },
+  process.env.JWT_SECRET,
+  { expiresIn: process.env.JWT_EXPIRE || '15m' }
+);
+
+// Refresh tokens carry their session id so a stale token can be traced back
+// to the session it was stolen from
+const formatRefreshToken = (session, token) => `${session._id}.${token}`;
+
+// Start a new session for a user who just proved who they are
+const startSession = async (user, req) => {
+  const { token, tokenHash } = generateToken();
+
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: tokenHash,
+    userAgent: req.get('User-Agent'),
+    ipAddress: req.ip,
+    expiresAt: refreshExpiry()
+  });
+
+  return {
+    session,
+    token: signAccessToken(user, session),
+    refreshToken: formatRefreshToken(session, token)
+  };
+};
+
+// Exchange a refresh token for a new access/refresh token pair.
+// Returns null when the token cannot be used.
+const rotateSession = async (refreshToken, req) => {
+  const [sessionId, token] = (refreshToken || '').split('.');
+  if (!sessionId || !token || !/^[a-f\d]{24}$/i.test(sessionId)) return null;
+
+  const session = await Session.findById(sessionId).select('+refreshTokenHash');
+  if (!session || !session.isValid()) return null;
+
+  if (session.refreshTokenHash !== hashToken(token)) {
+    // An already rotated token is being replayed, so assume it was stolen
+    session.revokedAt = new Date();
+    session.revokedReason = 'refresh_token_reuse';
+    await session.save();
+    return null;
+  }
+
+  const next = generateToken();
+  session.refreshTokenHash = next.tokenHash;
+  session.lastUsedAt = new Date();
+  session.expiresAt = refreshExpiry();
+  session.userAgent = req.get('User-Agent') || session.userAgent;
+  session.ipAddress = req.ip || session.ipAddress;
+  await session.save();
+
+  return {
+    session,
+    refreshToken: formatRefreshToken(session, next.token)
+  };
+};
+
+// Revoke every live session of a user, optionally sparing one
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: null };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+
+  return Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+};
+
+module.exports = {
+  signAccessToken,
+  startSession,
+  rotateSession,
+  revokeUserSessions
+};
@@ -0,0 +1,114 @@
+const { Readable } = require('stream');
+const ExcelJS = require('exceljs');
+
+const FORMATS = ['csv', 'xlsx'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+// Work out the format of an uploaded file from its name, then its mimetype
+const detectFormat = (file) => {
+  const extension = (file.originalname || '').split('.').pop().toLowerCase();
+  if (FORMATS.includes(extension)) return extension;
+  return Object.keys(CONTENT_TYPES).find(format => CONTENT_TYPES[format] === file.mimetype) || null;
+};
+
+// `Due date` -> `due_date`
+const normalizeHeader = (header) => String(header || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+// Text a spreadsheet app would run as a formula. Exported cells starting this
+// way get a leading `'` so they open as plain text; imports drop it again.
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const neutralizeFormula = (value) => (typeof value === 'string' && FORMULA_START.test(value) ? `'${value}` : value);
+
+// Plain value of a cell: formulas give their result, links and rich text their text
+const cellValue = (value) => {
+  if (value === null || value === undefined) return null;
+  if (value instanceof Date) return value;
+  if (typeof value === 'object') {
+    if (value.result !== undefined) return cellValue(value.result);
+    if (value.richText) return value.richText.map(part => part.text).join('');
+    if (value.text !== undefined) return cellValue(value.text);
+    return null;
+  }
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    if (trimmed.startsWith("'") && FORMULA_START.test(trimmed.slice(1))) return trimmed.slice(1);
+    return trimmed === '' ? null : trimmed;
+  }
+  return value;
+};
+
+// Read the first sheet of a CSV or XLSX file into objects keyed by the
+// normalized header row. Each object also gets `_row`, its line in the file.
+// Empty rows are skipped.
+const readSheet = async (buffer, format) => {
+  const workbook = new ExcelJS.Workbook();
+
+  let worksheet;
+  if (format === 'csv') {
+    // Keep CSV values as text; columns are parsed by whoever reads them
+    worksheet = await workbook.csv.read(Readable.from(buffer), { map: value => value });
+  } else {
+    await workbook.xlsx.load(buffer);
+    worksheet = workbook.worksheets[0];
+  }
+
+  if (!worksheet) return [];
+
+  const headers = [];
+  worksheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = normalizeHeader(cellValue(cell.value));
+  });
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+
+    const record = { _row: rowNumber };
+    let hasValue = false;
+    row.eachCell((cell, column) => {
+      const header = headers[column];
+      const value = cellValue(cell.value);
+      if (!header || value === null) return;
+      record[header] = value;
+      hasValue = true;
+    });
+
+    if (hasValue) rows.push(record);
+  });
+
+  return rows;
+};
+
+// Send rows as a CSV or XLSX download. `columns` is a list of
+// `{ header, key }`; each row is an object with those keys. Text that would
+// run as a formula is neutralized.
+const sendSheet = async (res, { format, filename, sheetName, columns, rows }) => {
+  const workbook = new ExcelJS.Workbook();
+  const worksheet = workbook.addWorksheet(sheetName);
+
+  worksheet.columns = columns.map(({ header, key, width }) => ({ header, key, width: width || 18 }));
+  rows.forEach(row => worksheet.addRow(
+    Object.fromEntries(Object.entries(row).map(([key, value]) => [key, neutralizeFormula(value)]))
+  ));
+
+  if (format === 'xlsx') {
+    worksheet.getRow(1).font = { bold: true };
+  }
+
+  res.setHeader('Content-Type', CONTENT_TYPES[format]);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${format}"`);
+
+  if (format === 'csv') {
+    await workbook.csv.write(res, { dateFormat: 'YYYY-MM-DD' });
+  } else {
+    await workbook.xlsx.write(res);
+  }
+  res.end();
+};
+
+module.exports = { FORMATS, detectFormat, normalizeHeader, readSheet, sendSheet };
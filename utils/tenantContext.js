@@ -0,0 +1,17 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Holds the organization the current request acts in. Every query on a
+// tenant-owned model is scoped to it by the tenant plugin.
+const storage = new AsyncLocalStorage();
+
+// Run `fn` with every tenant-owned query scoped to `organizationId`.
+// A null organization scopes queries to documents without one, i.e. nothing.
+const runWithTenant = (organizationId, fn) => storage.run({ organization: organizationId || null }, fn);
+
+// Run `fn` across tenants. Only for system work such as writing audit entries
+// or scheduled jobs; request handlers should never need this.
+const runWithoutTenant = (fn) => storage.run({ bypass: true }, fn);
+
+const currentTenant = () => storage.getStore();
+
+module.exports = { runWithTenant, runWithoutTenant, currentTenant };
@@ -0,0 +1,13 @@
+const crypto = require('crypto');
+
+// Only a hash of each single-use token is stored, so a leaked database
+// does not hand out working invite or reset links
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Generate a random URL-safe token together with the hash to persist
+const generateToken = () => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return { token, tokenHash: hashToken(token) };
+};
+
+module.exports = { hashToken, generateToken };